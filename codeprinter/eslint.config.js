@@ -31,7 +31,26 @@ export default [
     },
   },
   {
-    files: ['eslint.config.js', 'eslint.config.mjs', 'tailwind.config.js', 'vite.config.js'],
+    files: ['src/**/*.js', 'src/**/*.jsx'],
+    languageOptions: {
+      parserOptions: {
+        ecmaFeatures: { jsx: true },
+      },
+      globals: globals.browser,
+    },
+    rules: {
+      // Components used only in JSX are not seen as used without the React plugin.
+      'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
+    },
+  },
+  {
+    files: ['src/**/*.worker.js'],
+    languageOptions: {
+      globals: globals.worker,
+    },
+  },
+  {
+    files: ['eslint.config.js', 'eslint.config.mjs', 'tailwind.config.js', 'vite.config.js', 'scripts/**/*.js'],
     languageOptions: {
       globals: globals.node,
     },
@@ -48,6 +67,6 @@ export default [
     },
   },
   {
-    ignores: ['**/dist', '**/.eslintrc.cjs'],
+    ignores: ['**/dist', '**/dist-types', '**/.eslintrc.cjs'],
   },
 ];
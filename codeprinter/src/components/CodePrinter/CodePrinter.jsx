@@ -1,96 +1,1324 @@
-import { useEffect, useState } from 'react';
+import { Fragment, useEffect, useMemo, useRef, useState } from 'react';
+import { flushSync } from 'react-dom';
 import { Toolbar } from './components/Toolbar.jsx';
-import { Textarea } from '@/components/ui/textarea';
+import { FileList } from './components/FileList.jsx';
+import { PrintedFile } from './components/PrintedFile.jsx';
+import { FileOptions } from './components/FileOptions.jsx';
+import { DiffPrintedFile } from './components/DiffPrintedFile.jsx';
+import { SubmissionCover } from './components/SubmissionCover.jsx';
+import { ContentsPage } from './components/ContentsPage.jsx';
+import { CommandPalette } from './components/CommandPalette.jsx';
+import { ShortcutsHelp } from './components/ShortcutsHelp.jsx';
+import { SplitView } from './components/SplitView.jsx';
+import { PagedPreview } from './components/PagedPreview.jsx';
+import { PrintProgress } from './components/PrintProgress.jsx';
+import { CodeEditor } from './components/CodeEditor.jsx';
 import SyntaxHighlighter from 'react-syntax-highlighter';///dist/esm/default-highlight';
-import { cn, useLocalStorage } from '@/lib/utils';
+import { cn, useDebouncedValue, useLocalStorage } from '@/lib/utils';
+import {
+    createCodeFile,
+    updateCodeFile,
+    moveCodeFile,
+    uniqueFileName,
+} from './codeFiles.js';
+import {
+    DEFAULT_EXCLUDE_GLOBS,
+    collectDroppedFiles,
+    collectPickedFiles,
+    createFileFilter,
+    loadSourceFiles,
+} from './fileLoading.js';
+import { AUTO_LANGUAGE, resolveLanguage } from './languageDetection.js';
+import { showToast } from './toast.js';
+import {
+    DEFAULT_FOOTER_TEMPLATE,
+    DEFAULT_HEADER_TEMPLATE,
+    buildPageTemplateCss,
+    filePageName,
+} from './pageTemplates.js';
+import { exportCodePdf } from './pdfExport.js';
+import { buildShareHash, parseShareHash } from './shareLinks.js';
+import {
+    DEFAULT_LINE_NUMBER_START,
+    DEFAULT_WRAP_MARKER,
+    WRAP_MARKERS,
+    normalizeLineNumberStart,
+} from './lineNumbering.js';
+import { customThemeToStyle } from './customThemes.js';
+import { toPrintSafeTheme } from './printSafeThemes.js';
+import {
+    COLUMN_COUNTS,
+    DEFAULT_PAGE_LAYOUT,
+    MARGINS,
+    ORIENTATIONS,
+    PAGES_PER_SHEET_OPTIONS,
+    PAPER_SIZES,
+    buildPageLayoutCss,
+    resolvePageLayout,
+} from './pageLayout.js';
+import { DIFF_MODES } from './lineDiff.js';
+import { DEFAULT_NOTE_PLACEMENT, NOTE_PLACEMENTS } from './annotations.js';
+import { loadSession, saveSession } from './workspaceStore.js';
+import { readZipArchive } from './zipArchive.js';
+import {
+    DEFAULT_WHITESPACE,
+    normalizeWhitespace,
+    resolveWhitespaceOptions,
+} from './whitespace.js';
+import {
+    commentSource,
+    stripComments as removeComments,
+} from './commentStripping.js';
+import { canFormat, formatCode } from './codeFormatting.js';
+import { matchShortcut } from './keyboardShortcuts.js';
+import { addFontFile, removeFontFile, restoreFontFiles } from './fontFiles.js';
+import { registerBundledPdfFonts } from './bundledFonts.js';
+import { DEFAULT_SPLIT_RATIO, DEFAULT_VIEW_MODE } from './previewPages.js';
+import {
+    cachedHighlight,
+    fitHighlightCache,
+    highlightAsync,
+} from './highlightWorker.js';
+import {
+    DEFAULT_TYPOGRAPHY,
+    normalizeFontSize,
+    resolveTypographyOptions,
+} from './typography.js';
+import {
+    startsSubmission,
+    stripSharedFolder,
+    submissionStudent,
+} from './submissions.js';
+
+const AUTOSAVE_DELAY_MS = 500;
+// How long typing has to pause before the printout catches up.
+const PRINTOUT_DELAY_MS = 250;
+const DEFAULT_FONT = 'Inconsolata';
 
 import './lineNumbers.css';
 
 export const CodePrinter = ({ fontList, fontSizes, themes }) => {
-    const [font, setFont] = useLocalStorage('font', 'Inconsolata');
+    const [font, setFont] = useLocalStorage('font', DEFAULT_FONT);
     const [size, setSize] = useLocalStorage('fontSize', 12);
+    const defaultThemeName = themes ? 'Grayscale' : 'None';
     const [themeName, setThemeName] = useLocalStorage(
         'theme',
-        themes ? 'Grayscale' : 'None',
+        defaultThemeName,
+    );
+    const [printSafe, setPrintSafe] = useLocalStorage('printSafe', false);
+    const [showContents, setShowContents] = useLocalStorage(
+        'tableOfContents',
+        false,
     );
+    const [customThemes, setCustomThemes] = useLocalStorage('customThemes', []);
     const [showLineNumbers, setShowLineNumbers] = useLocalStorage(
         'lineNumbers',
         true,
     );
-    const [code, setCode] = useState('');
-    const [language, setLanguage] = useLocalStorage('language', 'plaintext');
-    const [preview, setPreview] = useState(false);
+    const [lineNumberStart, setLineNumberStart] = useLocalStorage(
+        'lineNumberStart',
+        DEFAULT_LINE_NUMBER_START,
+    );
+    const [wrapMarker, setWrapMarker] = useLocalStorage(
+        'wrapMarker',
+        DEFAULT_WRAP_MARKER,
+    );
+    const [columns, setColumns] = useLocalStorage(
+        'columns',
+        DEFAULT_PAGE_LAYOUT.columns,
+    );
+    const [orientation, setOrientation] = useLocalStorage(
+        'orientation',
+        DEFAULT_PAGE_LAYOUT.orientation,
+    );
+    const [pagesPerSheet, setPagesPerSheet] = useLocalStorage(
+        'pagesPerSheet',
+        DEFAULT_PAGE_LAYOUT.pagesPerSheet,
+    );
+    const [paperSize, setPaperSize] = useLocalStorage(
+        'paperSize',
+        DEFAULT_PAGE_LAYOUT.paperSize,
+    );
+    const [margins, setMargins] = useLocalStorage(
+        'margins',
+        DEFAULT_PAGE_LAYOUT.margins,
+    );
+    const [typographySetting, setTypography] = useLocalStorage(
+        'typography',
+        DEFAULT_TYPOGRAPHY,
+    );
+    const [whitespaceSetting, setWhitespace] = useLocalStorage(
+        'whitespace',
+        DEFAULT_WHITESPACE,
+    );
+    const [stripComments, setStripComments] = useLocalStorage(
+        'stripComments',
+        false,
+    );
+    const [diffMode, setDiffMode] = useLocalStorage('diffMode', 'off');
+    const [notePlacement, setNotePlacement] = useLocalStorage(
+        'notePlacement',
+        DEFAULT_NOTE_PLACEMENT,
+    );
+    const [author, setAuthor] = useLocalStorage('author', '');
+    const [headerTemplate, setHeaderTemplate] = useLocalStorage(
+        'headerTemplate',
+        DEFAULT_HEADER_TEMPLATE,
+    );
+    const [footerTemplate, setFooterTemplate] = useLocalStorage(
+        'footerTemplate',
+        DEFAULT_FOOTER_TEMPLATE,
+    );
+    const [files, setFiles] = useState(() => [createCodeFile()]);
+    const [activeFileId, setActiveFileId] = useState(() => files[0].id);
+    // The named workspace being edited and the files as it was last saved or
+    // opened; anything else counts as unsaved work.
+    const [workspace, setWorkspace] = useState(null);
+    const [savedFiles, setSavedFiles] = useState(null);
+    const [sessionReady, setSessionReady] = useState(false);
+    const [view, setView] = useLocalStorage('view', DEFAULT_VIEW_MODE);
+    const [splitRatio, setSplitRatio] = useLocalStorage(
+        'splitRatio',
+        DEFAULT_SPLIT_RATIO,
+    );
+    const [customFonts, setCustomFonts] = useState([]);
+    const [paletteOpen, setPaletteOpen] = useState(false);
+    const [shortcutsOpen, setShortcutsOpen] = useState(false);
+    const [includeGlobs, setIncludeGlobs] = useLocalStorage('includeGlobs', '');
+    const [excludeGlobs, setExcludeGlobs] = useLocalStorage(
+        'excludeGlobs',
+        DEFAULT_EXCLUDE_GLOBS,
+    );
+    const [dragging, setDragging] = useState(false);
+    // Files render in full, rather than as they scroll into view, while
+    // printing; printProgress is set while a printout is being prepared.
+    const [printRender, setPrintRender] = useState(false);
+    const [printProgress, setPrintProgress] = useState(null);
+    // Bumped when highlight trees needed for comment removal arrive.
+    const [commentTreesLoaded, setCommentTreesLoaded] = useState(0);
 
     const languages = SyntaxHighlighter.supportedLanguages.filter((x) => {
         return !x.startsWith('brain');
     });
 
+    // Memoized so the printout only re-renders when a setting really changes.
+    const allThemes = useMemo(
+        () => ({
+            ...themes,
+            ...Object.fromEntries(
+                customThemes.map((theme) => [
+                    theme.name,
+                    customThemeToStyle(theme),
+                ]),
+            ),
+        }),
+        [themes, customThemes],
+    );
+
+    const activeTheme = useMemo(
+        () =>
+            printSafe
+                ? toPrintSafeTheme(allThemes[themeName])
+                : allThemes[themeName],
+        [allThemes, themeName, printSafe],
+    );
+
+    const activeFile =
+        files.find((file) => file.id === activeFileId) || files[0];
+    const isDiffing = diffMode !== 'off';
+    const isBlank = files.length === 1 && files[0].code.trim() === '';
+    const isModified = files !== savedFiles && !isBlank;
+    const printsContents = showContents && files.length > 1;
+
+    // Comment removal and whitespace clean-up only affect what is printed,
+    // never the editor.
+    const whitespace = resolveWhitespaceOptions(whitespaceSetting);
+    const typography = useMemo(
+        () => resolveTypographyOptions(typographySetting),
+        [typographySetting],
+    );
+    // Comments are found in each file's highlight tree, which comes from the
+    // worker; a file prints with its comments until its tree is ready.
+    const printedCode = (code, language) => {
+        const tree =
+            stripComments && code
+                ? cachedHighlight(commentSource(code), language)
+                : null;
+        const stripped = tree ? removeComments(tree) : { code };
+        const printed = normalizeWhitespace(stripped.code, whitespace);
+        return {
+            code: printed.code,
+            sourceLines: stripped.sourceLines
+                ? printed.sourceLines.map(
+                      (line) => stripped.sourceLines[line - 1],
+                  )
+                : printed.sourceLines,
+        };
+    };
+    const toPrintedFiles = (source) =>
+        source.map((file) => {
+            const language = resolveLanguage(file);
+            const printed = printedCode(file.code, language);
+            const previous = printedCode(file.previousCode, language);
+            return {
+                ...file,
+                code: printed.code,
+                sourceLines: printed.sourceLines,
+                previousCode: previous.code,
+                previousSourceLines: previous.sourceLines,
+            };
+        });
+    /** Highlights, in the worker, the code comment removal needs. */
+    const loadCommentTrees = (source) =>
+        stripComments
+            ? Promise.all(
+                  source.flatMap((file) =>
+                      [file.code, file.previousCode]
+                          .filter(Boolean)
+                          .map((code) =>
+                              highlightAsync(
+                                  commentSource(code),
+                                  resolveLanguage(file),
+                              ),
+                          ),
+                  ),
+              )
+            : Promise.resolve();
+    // The printout trails the editor while typing, so very large files stay
+    // responsive; printing always uses the latest code.
+    const previewFiles = useDebouncedValue(files, PRINTOUT_DELAY_MS);
+    const printSource = printRender ? files : previewFiles;
+    const printedFiles = useMemo(
+        () => toPrintedFiles(printSource),
+        [printSource, stripComments, whitespaceSetting, commentTreesLoaded],
+    );
+
+    useEffect(() => fitHighlightCache(files.length), [files.length]);
+
+    useEffect(() => {
+        if (!stripComments) return;
+        let cancelled = false;
+        loadCommentTrees(previewFiles).then(() => {
+            if (!cancelled) setCommentTreesLoaded((count) => count + 1);
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [previewFiles, stripComments]);
+
+    const layout = resolvePageLayout({
+        columns,
+        orientation,
+        pagesPerSheet,
+        paperSize,
+        margins,
+    });
+    const printedSize = size * layout.scale;
+
+    const pageTemplateCss = [
+        buildPageLayoutCss(layout),
+        buildPageTemplateCss({
+            header: headerTemplate,
+            footer: footerTemplate,
+            author,
+            fileNames: files.map((file) => file.name),
+        }),
+    ]
+        .filter(Boolean)
+        .join('\n');
+
+    const updateActiveFile = (changes) => {
+        setFiles((current) => updateCodeFile(current, activeFile.id, changes));
+    };
+
+    const handleLanguageChange = (newLanguage) => {
+        updateActiveFile({ language: newLanguage });
+    };
+
+    const handleAddFile = () => {
+        const file = createCodeFile({ name: uniqueFileName(files) });
+        setFiles([...files, file]);
+        setActiveFileId(file.id);
+    };
+
+    const handleRemoveFile = (id) => {
+        if (files.length <= 1) return;
+        const index = files.findIndex((file) => file.id === id);
+        const remaining = files.filter((file) => file.id !== id);
+        setFiles(remaining);
+        if (id === activeFile.id) {
+            setActiveFileId(
+                remaining[Math.min(index, remaining.length - 1)].id,
+            );
+        }
+    };
+
+    // Filters only apply to files found inside folders (matched relative to
+    // the opened folder), never to files picked or dropped one by one.
+    const loadFolderFiles = async (sources) => {
+        const folderFilter = createFileFilter({
+            include: includeGlobs,
+            exclude: excludeGlobs,
+        });
+        const result = await loadSourceFiles(sources, {
+            filter: (path) =>
+                !path.includes('/') ||
+                folderFilter(path.slice(path.indexOf('/') + 1)),
+        });
+
+        const { skipped } = result;
+        const unreadable =
+            skipped.binary + skipped.tooLarge + skipped.unreadable;
+        if (unreadable > 0) {
+            showToast(
+                `${unreadable} file(s) were skipped because they were binary, too large or unreadable.`,
+                true,
+            );
+        }
+        return { ...result, unreadable };
+    };
+
+    const handleOpenFiles = async (sources) => {
+        const { loaded, skipped, unreadable } = await loadFolderFiles(sources);
+        if (!loaded.length) {
+            if (!unreadable) showToast('No matching source files found.', true);
+            return;
+        }
+
+        const kept = isBlank ? [] : files;
+        const opened = [];
+        loaded.forEach(({ name, code }) => {
+            opened.push(
+                createCodeFile({
+                    name: uniqueFileName([...kept, ...opened], name),
+                    code,
+                    language: AUTO_LANGUAGE,
+                }),
+            );
+        });
+        setFiles([...kept, ...opened]);
+        setActiveFileId(opened[0].id);
+        showToast(
+            `Opened ${loaded.length} file(s)` +
+                (skipped.filtered
+                    ? `, ${skipped.filtered} filtered out.`
+                    : '.'),
+        );
+    };
+
+    // A zip of student folders replaces the job with every student's files,
+    // sorted by path so each student's files stay together.
+    const handleOpenSubmissions = async (archive) => {
+        if (
+            isModified &&
+            !window.confirm(
+                'Replace the current files? Unsaved changes will be lost.',
+            )
+        ) {
+            return;
+        }
+        try {
+            const sources = stripSharedFolder(await readZipArchive(archive));
+            const { loaded, unreadable } = await loadFolderFiles(sources);
+            if (!loaded.length) {
+                if (!unreadable) {
+                    showToast('No matching source files found.', true);
+                }
+                return;
+            }
+            const submissions = loaded.map(({ name, code }) =>
+                createCodeFile({
+                    name,
+                    code,
+                    language: AUTO_LANGUAGE,
+                    student: submissionStudent(name),
+                }),
+            );
+            const students = new Set(submissions.map((file) => file.student));
+            setFiles(submissions);
+            setActiveFileId(submissions[0].id);
+            setWorkspace(null);
+            setSavedFiles(null);
+            showToast(
+                `Opened ${submissions.length} file(s) from ${students.size} submission(s).`,
+            );
+        } catch (err) {
+            console.error('Zip error', err);
+            showToast(`Could not read ${archive.name}: ${err.message}`, true);
+        }
+    };
+
+    // Hydrate from a shared link on load and whenever the hash changes, and
+    // otherwise pick up the autosaved session on load.
+    useEffect(() => {
+        const loadSharedJob = async () => {
+            try {
+                const shared = await parseShareHash(window.location.hash);
+                if (!shared) return false;
+                if (shared.files.length) {
+                    setFiles(shared.files);
+                    setActiveFileId(shared.files[0].id);
+                }
+                const {
+                    font,
+                    size,
+                    themeName,
+                    showLineNumbers,
+                    lineNumberStart,
+                    wrapMarker,
+                    printSafe,
+                    showContents,
+                    columns,
+                    orientation,
+                    pagesPerSheet,
+                    paperSize,
+                    margins,
+                    whitespace,
+                    typography,
+                    stripComments,
+                    diffMode,
+                    notePlacement,
+                } = shared.settings;
+                if (font) setFont(font);
+                const sharedSize = normalizeFontSize(size);
+                if (sharedSize) setSize(sharedSize);
+                if (Object.hasOwn(allThemes, themeName)) {
+                    setThemeName(themeName);
+                }
+                if (showLineNumbers !== undefined) {
+                    setShowLineNumbers(showLineNumbers);
+                }
+                if (lineNumberStart !== undefined) {
+                    setLineNumberStart(
+                        normalizeLineNumberStart(lineNumberStart),
+                    );
+                }
+                if (Object.hasOwn(WRAP_MARKERS, wrapMarker)) {
+                    setWrapMarker(wrapMarker);
+                }
+                if (printSafe !== undefined) setPrintSafe(printSafe);
+                if (showContents !== undefined) setShowContents(showContents);
+                if (COLUMN_COUNTS.includes(columns)) setColumns(columns);
+                if (ORIENTATIONS.includes(orientation)) {
+                    setOrientation(orientation);
+                }
+                if (PAGES_PER_SHEET_OPTIONS.includes(pagesPerSheet)) {
+                    setPagesPerSheet(pagesPerSheet);
+                }
+                if (Object.hasOwn(PAPER_SIZES, paperSize)) {
+                    setPaperSize(paperSize);
+                }
+                if (Object.hasOwn(MARGINS, margins)) setMargins(margins);
+                if (whitespace !== undefined) {
+                    setWhitespace(resolveWhitespaceOptions(whitespace));
+                }
+                if (typography !== undefined) {
+                    setTypography(resolveTypographyOptions(typography));
+                }
+                if (stripComments !== undefined) {
+                    setStripComments(stripComments);
+                }
+                if (DIFF_MODES.includes(diffMode)) setDiffMode(diffMode);
+                if (NOTE_PLACEMENTS.includes(notePlacement)) {
+                    setNotePlacement(notePlacement);
+                }
+                // Drop the hash so a refresh keeps the user's edits instead of
+                // loading the shared job over them.
+                window.history.replaceState(
+                    window.history.state,
+                    '',
+                    window.location.pathname + window.location.search,
+                );
+                return true;
+            } catch (err) {
+                console.error('Share link error', err);
+                showToast('This shared link could not be read.', true);
+                return false;
+            }
+        };
+        const restoreSession = async () => {
+            try {
+                const session = await loadSession();
+                if (!session) return;
+                setFiles(session.files);
+                setActiveFileId(
+                    session.files[
+                        Math.min(session.activeIndex, session.files.length - 1)
+                    ].id,
+                );
+                setWorkspace(session.workspace);
+                setSavedFiles(session.modified ? null : session.files);
+            } catch (err) {
+                console.error('Session restore error', err);
+            }
+        };
+        const hydrate = async () => {
+            if (!(await loadSharedJob())) await restoreSession();
+            setSessionReady(true);
+        };
+        hydrate();
+        window.addEventListener('hashchange', loadSharedJob);
+        return () => window.removeEventListener('hashchange', loadSharedJob);
+    }, []);
+
+    // Autosave once the session has been restored, so a blank page never
+    // overwrites the saved one.
+    useEffect(() => {
+        if (!sessionReady) return;
+        const timer = setTimeout(() => {
+            saveSession({
+                files,
+                activeIndex: files.indexOf(activeFile),
+                workspace,
+                modified: isModified,
+            }).catch((err) => console.error('Autosave error', err));
+        }, AUTOSAVE_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [files, activeFileId, workspace, isModified, sessionReady]);
+
+    // Warn on unload while there is work not saved to a workspace.
+    useEffect(() => {
+        if (!isModified) return;
+        const warn = (e) => {
+            e.preventDefault();
+            e.returnValue = '';
+            return '';
+        };
+        window.addEventListener('beforeunload', warn);
+        return () => window.removeEventListener('beforeunload', warn);
+    }, [isModified]);
+
+    const handleWorkspaceOpen = (loaded) => {
+        if (
+            isModified &&
+            !window.confirm(
+                'Replace the current files? Unsaved changes will be lost.',
+            )
+        ) {
+            return;
+        }
+        setFiles(loaded.files);
+        setActiveFileId(loaded.files[0].id);
+        setWorkspace({ id: loaded.id, name: loaded.name });
+        setSavedFiles(loaded.files);
+    };
+
+    const handleWorkspaceSaved = (saved) => {
+        setWorkspace(saved);
+        setSavedFiles(files);
+    };
+
+    const handleWorkspaceRenamed = (id, name) => {
+        if (workspace?.id === id) setWorkspace({ id, name });
+    };
+
+    const handleWorkspaceDeleted = (id) => {
+        if (workspace?.id !== id) return;
+        setWorkspace(null);
+        setSavedFiles(null);
+    };
+
+    useEffect(() => registerBundledPdfFonts(fontList), [fontList]);
+
+    useEffect(() => {
+        restoreFontFiles()
+            .then(setCustomFonts)
+            .catch((err) => console.error('Font restore error', err));
+    }, []);
+
+    const handleLoadFontFile = async (file) => {
+        try {
+            const family = await addFontFile(file);
+            setCustomFonts((current) =>
+                current.includes(family) ? current : [...current, family],
+            );
+            setFont(family);
+            showToast(`Loaded ${family}`);
+        } catch (err) {
+            console.error('Font file error', err);
+            showToast(err.message, true);
+        }
+    };
+
+    const handleRemoveFont = async (family) => {
+        try {
+            await removeFontFile(family);
+            setCustomFonts((current) =>
+                current.filter((other) => other !== family),
+            );
+            if (font === family) setFont(DEFAULT_FONT);
+        } catch (err) {
+            console.error('Font removal error', err);
+            showToast(`Could not remove ${family}`, true);
+        }
+    };
+
+    const handleCopyLink = async () => {
+        try {
+            const hash = await buildShareHash({
+                files,
+                settings: {
+                    font,
+                    size,
+                    themeName,
+                    showLineNumbers,
+                    lineNumberStart,
+                    wrapMarker,
+                    printSafe,
+                    showContents,
+                    columns,
+                    orientation,
+                    pagesPerSheet,
+                    paperSize,
+                    margins,
+                    whitespace,
+                    typography,
+                    stripComments,
+                    diffMode,
+                    notePlacement,
+                },
+            });
+            const { origin, pathname, search } = window.location;
+            await navigator.clipboard.writeText(
+                `${origin}${pathname}${search}#${hash}`,
+            );
+            showToast('Link copied to clipboard');
+        } catch (err) {
+            console.error('Copy link error', err);
+            showToast('Could not copy the link', true);
+        }
+    };
+
+    const handleExportPdf = async () => {
+        // PDF export draws plain listings only, so it would silently drop
+        // the diff.
+        if (isDiffing) {
+            showToast(
+                'PDF export does not include diffs. Set Diff to off, or use Print.',
+                true,
+            );
+            return;
+        }
+        const baseName =
+            files.length === 1
+                ? files[0].name
+                      .split('/')
+                      .pop()
+                      .replace(/\.[^.]*$/, '')
+                : 'code-printout';
+        try {
+            await loadCommentTrees(files);
+            const { embeddedFont } = await exportCodePdf({
+                files: toPrintedFiles(files).map((file) => ({
+                    ...file,
+                    language: resolveLanguage(file),
+                })),
+                font,
+                size: printedSize,
+                theme: activeTheme,
+                showLineNumbers,
+                lineNumberStart,
+                wrapMarker,
+                columns: layout.columns,
+                orientation: layout.orientation,
+                paperSize: layout.paperSize,
+                margin: layout.margin,
+                notePlacement,
+                tabWidth: whitespace.tabWidth,
+                showWhitespace: whitespace.showWhitespace,
+                fontWeight: typography.fontWeight,
+                lineHeight: typography.lineHeight,
+                letterSpacing: typography.letterSpacing,
+                showContents: printsContents,
+                headerTemplate,
+                footerTemplate,
+                author,
+                fileName: `${baseName || 'code'}.pdf`,
+            });
+            if (!embeddedFont) {
+                showToast(
+                    `${font} could not be embedded, so the PDF uses Courier.`,
+                );
+            }
+        } catch (err) {
+            console.error('PDF export error', err);
+            showToast('Failed to export PDF', true);
+        }
+    };
+
+    // Printing renders every file in full, which takes a while for very long
+    // ones, so files are highlighted in the worker first with the progress
+    // shown. Printing from the browser's own menu renders everything at once.
+    const handlePrint = async () => {
+        if (printProgress) return;
+        setPrintProgress({ done: 0, total: files.length });
+        try {
+            await loadCommentTrees(files);
+            const pending = isDiffing ? [] : toPrintedFiles(files);
+            setPrintProgress({ done: 0, total: pending.length });
+            await Promise.all(
+                pending.map((file) =>
+                    highlightAsync(file.code, resolveLanguage(file)).then(() =>
+                        setPrintProgress((progress) => ({
+                            ...progress,
+                            done: progress.done + 1,
+                        })),
+                    ),
+                ),
+            );
+            // Let "Laying out pages" paint before the render blocks.
+            await new Promise((resolve) =>
+                requestAnimationFrame(() => setTimeout(resolve)),
+            );
+            flushSync(() => {
+                setPrintProgress(null);
+                setPrintRender(true);
+            });
+            window.print();
+        } catch (err) {
+            console.error('Print error', err);
+            showToast('Could not prepare the printout', true);
+        } finally {
+            setPrintProgress(null);
+            setPrintRender(false);
+        }
+    };
+
+    useEffect(() => {
+        const renderInFull = () => flushSync(() => setPrintRender(true));
+        const renderLazily = () => setPrintRender(false);
+        window.addEventListener('beforeprint', renderInFull);
+        window.addEventListener('afterprint', renderLazily);
+        return () => {
+            window.removeEventListener('beforeprint', renderInFull);
+            window.removeEventListener('afterprint', renderLazily);
+        };
+    }, []);
+
+    // Formatting replaces a file's code but keeps the code from before the
+    // first format so it can be restored.
+    const formatFiles = async (targets) => {
+        const formatted = new Map();
+        const failures = [];
+        for (const file of targets) {
+            try {
+                formatted.set(file.id, {
+                    source: file.code,
+                    code: await formatCode(file.code, resolveLanguage(file), {
+                        tabWidth: whitespace.tabWidth,
+                    }),
+                });
+            } catch (err) {
+                console.error(`Format error in ${file.name}`, err);
+                failures.push(`${file.name}: ${err.message}`);
+            }
+        }
+        // Skip files edited while the formatter was running.
+        setFiles((current) =>
+            current.map((file) => {
+                const result = formatted.get(file.id);
+                if (!result || result.source !== file.code) return file;
+                if (result.code === file.code) return file;
+                return {
+                    ...file,
+                    code: result.code,
+                    originalCode: file.originalCode || file.code,
+                };
+            }),
+        );
+        if (failures.length) {
+            showToast(
+                failures.length === 1
+                    ? `Could not format ${failures[0]}`
+                    : `Could not format ${failures.length} files. ${failures[0]}`,
+                true,
+            );
+        } else if (targets.length > 1) {
+            showToast(`Formatted ${targets.length} file(s).`);
+        }
+    };
+
+    const handleFormatAll = () => {
+        const targets = files.filter((file) =>
+            canFormat(resolveLanguage(file), file.code),
+        );
+        if (!targets.length) {
+            showToast(
+                'None of the files are in a language that can be formatted.',
+                true,
+            );
+            return;
+        }
+        formatFiles(targets);
+    };
+
+    const handleRestoreOriginal = () => {
+        updateActiveFile({ code: activeFile.originalCode, originalCode: '' });
+    };
+
+    const handleAddNote = (id, line) => {
+        setActiveFileId(id);
+        setFiles((current) =>
+            current.map((file) =>
+                file.id === id
+                    ? { ...file, notes: [...file.notes, { line, text: '' }] }
+                    : file,
+            ),
+        );
+    };
+
+    const handleSaveTheme = (theme) => {
+        setCustomThemes([
+            ...customThemes.filter((custom) => custom.name !== theme.name),
+            theme,
+        ]);
+        setThemeName(theme.name);
+        showToast(`Saved theme ${theme.name}`);
+    };
+
+    const handleDeleteTheme = (name) => {
+        setCustomThemes(customThemes.filter((theme) => theme.name !== name));
+        if (themeName === name) setThemeName(defaultThemeName);
+    };
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        setDragging(true);
+    };
+
+    const toggleLineNumbers = () => setShowLineNumbers(!showLineNumbers);
+
+    // One listener for the whole page; the ref keeps its handlers current
+    // without re-binding on every render.
+    const shortcutActions = useRef();
+    shortcutActions.current = {
+        palette: () => setPaletteOpen((open) => !open),
+        print: handlePrint,
+        preview: () => setView(view === 'preview' ? 'edit' : 'preview'),
+        split: () => setView(view === 'split' ? 'edit' : 'split'),
+        exportPdf: handleExportPdf,
+        lineNumbers: toggleLineNumbers,
+        help: () => setShortcutsOpen(true),
+    };
+
+    useEffect(() => {
+        const handleKeyDown = (e) => {
+            const shortcut = matchShortcut(e);
+            if (!shortcut) return;
+            e.preventDefault();
+            shortcutActions.current[shortcut]();
+        };
+        window.addEventListener('keydown', handleKeyDown);
+        return () => window.removeEventListener('keydown', handleKeyDown);
+    }, []);
+
+    const paletteChoices = (heading, options, current, onChange) => ({
+        heading,
+        commands: options.map((option) => ({
+            id: `${heading}:${option}`,
+            label: `${heading}: ${option}${option === current ? ' (current)' : ''}`,
+            run: () => onChange(option),
+        })),
+    });
+
+    const paletteGroups = [
+        {
+            heading: 'Actions',
+            commands: [
+                {
+                    id: 'print',
+                    label: 'Print',
+                    shortcut: 'print',
+                    run: handlePrint,
+                },
+                {
+                    id: 'exportPdf',
+                    label: isDiffing
+                        ? 'Export PDF (not available while diffing)'
+                        : 'Export PDF',
+                    shortcut: 'exportPdf',
+                    run: handleExportPdf,
+                },
+                { id: 'copyLink', label: 'Copy link', run: handleCopyLink },
+                {
+                    id: 'preview',
+                    label: 'Toggle preview',
+                    shortcut: 'preview',
+                    run: shortcutActions.current.preview,
+                },
+                {
+                    id: 'split',
+                    label: 'Toggle side-by-side preview',
+                    shortcut: 'split',
+                    run: shortcutActions.current.split,
+                },
+                {
+                    id: 'lineNumbers',
+                    label: showLineNumbers
+                        ? 'Hide line numbers'
+                        : 'Show line numbers',
+                    shortcut: 'lineNumbers',
+                    run: toggleLineNumbers,
+                },
+                {
+                    id: 'printSafe',
+                    label: printSafe
+                        ? 'Turn off print safe'
+                        : 'Turn on print safe',
+                    run: () => setPrintSafe(!printSafe),
+                },
+                {
+                    id: 'contents',
+                    label: showContents
+                        ? 'Leave out the contents page'
+                        : 'Add a contents page',
+                    run: () => setShowContents(!showContents),
+                },
+                {
+                    id: 'stripComments',
+                    label: stripComments ? 'Keep comments' : 'Remove comments',
+                    run: () => setStripComments(!stripComments),
+                },
+                {
+                    id: 'help',
+                    label: 'Show keyboard shortcuts',
+                    shortcut: 'help',
+                    run: () => setShortcutsOpen(true),
+                },
+            ],
+        },
+        paletteChoices('Font', [...fontList, ...customFonts], font, setFont),
+        paletteChoices('Font Size', fontSizes, size, setSize),
+        paletteChoices(
+            'Theme',
+            Object.keys(allThemes),
+            themeName,
+            setThemeName,
+        ),
+        paletteChoices(
+            'Language',
+            [AUTO_LANGUAGE, ...languages],
+            activeFile.language,
+            handleLanguageChange,
+        ),
+        paletteChoices('Diff', DIFF_MODES, diffMode, setDiffMode),
+    ];
+
+    const handleDragLeave = (e) => {
+        if (!e.currentTarget.contains(e.relatedTarget)) setDragging(false);
+    };
+
+    const handleDrop = async (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        setDragging(false);
+        try {
+            await handleOpenFiles(await collectDroppedFiles(e.dataTransfer));
+        } catch (err) {
+            console.error('Drop error', err);
+            showToast('Could not read the dropped files.', true);
+        }
+    };
+
+    const handleOpenPicked = async (picked) => {
+        try {
+            await handleOpenFiles(collectPickedFiles(picked));
+        } catch (err) {
+            console.error('Open files error', err);
+            showToast('Could not read the selected files.', true);
+        }
+    };
+
+    const editorSettings = {
+        language: resolveLanguage(activeFile),
+        theme: activeTheme,
+        font,
+        size,
+        tabWidth: whitespace.tabWidth,
+        lineNumberStart,
+    };
+
+    const editor = (
+        <>
+            {isDiffing ? (
+                <CodeEditor
+                    className="grow basis-0"
+                    {...editorSettings}
+                    placeholder="Paste the earlier version here"
+                    value={activeFile.previousCode}
+                    onChange={(previousCode) =>
+                        updateActiveFile({ previousCode })
+                    }
+                ></CodeEditor>
+            ) : null}
+            <CodeEditor
+                className="grow basis-0"
+                {...editorSettings}
+                lineRange={isDiffing ? '' : activeFile.lineRange}
+                highlightLines={isDiffing ? '' : activeFile.highlightLines}
+                placeholder={
+                    isDiffing
+                        ? 'Paste the current version here'
+                        : 'Paste your code here!'
+                }
+                value={activeFile.code}
+                onChange={(code) => updateActiveFile({ code })}
+            ></CodeEditor>
+        </>
+    );
+
+    const printout = (
+        <div
+            className="flex flex-col gap-6 print:block"
+            style={{
+                fontSize: '62.5%',
+            }}
+        >
+            {printsContents ? (
+                <ContentsPage
+                    files={printedFiles}
+                    font={font}
+                    size={printedSize}
+                    theme={activeTheme}
+                ></ContentsPage>
+            ) : null}
+            {printedFiles.map((file, index) => (
+                <Fragment key={file.id}>
+                    {startsSubmission(printedFiles, index) ? (
+                        <SubmissionCover
+                            student={file.student}
+                            fileNames={printedFiles
+                                .filter(
+                                    (other) => other.student === file.student,
+                                )
+                                .map((other) =>
+                                    other.name.slice(file.student.length + 1),
+                                )}
+                            font={font}
+                            className={index > 0 ? 'break-before-page' : ''}
+                        ></SubmissionCover>
+                    ) : null}
+                    {isDiffing ? (
+                        <DiffPrintedFile
+                            file={file}
+                            language={resolveLanguage(file)}
+                            view={diffMode}
+                            showHeader={files.length > 1}
+                            pageName={filePageName(index)}
+                            font={font}
+                            size={printedSize}
+                            theme={activeTheme}
+                            showLineNumbers={showLineNumbers}
+                            lineNumberStart={lineNumberStart}
+                            tabWidth={whitespace.tabWidth}
+                            showWhitespace={whitespace.showWhitespace}
+                            typography={typography}
+                            className={index > 0 ? 'break-before-page' : ''}
+                        ></DiffPrintedFile>
+                    ) : (
+                        <PrintedFile
+                            file={file}
+                            language={resolveLanguage(file)}
+                            showHeader={files.length > 1}
+                            pageName={filePageName(index)}
+                            font={font}
+                            size={printedSize}
+                            theme={activeTheme}
+                            showLineNumbers={showLineNumbers}
+                            lineNumberStart={lineNumberStart}
+                            wrapMarker={wrapMarker}
+                            columns={layout.columns}
+                            notePlacement={notePlacement}
+                            tabWidth={whitespace.tabWidth}
+                            showWhitespace={whitespace.showWhitespace}
+                            typography={typography}
+                            lazy={!printRender}
+                            onLineClick={
+                                view !== 'edit'
+                                    ? (line) => handleAddNote(file.id, line)
+                                    : undefined
+                            }
+                            className={index > 0 ? 'break-before-page' : ''}
+                        ></PrintedFile>
+                    )}
+                </Fragment>
+            ))}
+        </div>
+    );
+
     return (
         <>
+            {pageTemplateCss ? <style>{pageTemplateCss}</style> : null}
             <div className="sticky top-0 z-50 grow-0 print:hidden">
                 <Toolbar
                     fontList={fontList}
+                    customFonts={customFonts}
                     fontSizes={fontSizes}
-                    themes={Object.keys(themes)}
-                    languageList={languages}
+                    themes={Object.keys(allThemes)}
+                    themeStyles={allThemes}
+                    customThemes={customThemes}
+                    builtInThemeNames={Object.keys(themes)}
+                    previewCode={activeFile.code}
+                    previewLanguage={resolveLanguage(activeFile)}
+                    languageList={[AUTO_LANGUAGE, ...languages]}
                     defaultFont={font}
                     defaultSize={size}
+                    typography={typography}
                     defaultTheme={themeName}
-                    defaultLanguage={language}
+                    defaultLanguage={activeFile.language}
+                    detectedLanguage={resolveLanguage({
+                        ...activeFile,
+                        language: AUTO_LANGUAGE,
+                    })}
                     showLineNumbers={showLineNumbers}
+                    printSafe={printSafe}
+                    showContents={showContents}
+                    lineNumberStart={lineNumberStart}
+                    wrapMarker={wrapMarker}
+                    columns={columns}
+                    orientation={orientation}
+                    pagesPerSheet={pagesPerSheet}
+                    paperSize={paperSize}
+                    margins={margins}
+                    whitespace={whitespace}
+                    stripComments={stripComments}
+                    diffModes={DIFF_MODES}
+                    diffMode={diffMode}
+                    author={author}
+                    headerTemplate={headerTemplate}
+                    footerTemplate={footerTemplate}
                     onFontChange={setFont}
+                    onLoadFontFile={handleLoadFontFile}
+                    onRemoveFont={handleRemoveFont}
                     onSizeChange={setSize}
+                    onTypographyChange={setTypography}
                     onThemeChange={setThemeName}
+                    onSaveTheme={handleSaveTheme}
+                    onDeleteTheme={handleDeleteTheme}
                     onShowLineNumbersChange={setShowLineNumbers}
-                    onLanguageChange={setLanguage}
-                    onPrint={window.print}
-                    onPreviewChange={setPreview}
+                    onPrintSafeChange={setPrintSafe}
+                    onShowContentsChange={setShowContents}
+                    onLineNumberStartChange={setLineNumberStart}
+                    onWrapMarkerChange={setWrapMarker}
+                    onColumnsChange={setColumns}
+                    onOrientationChange={setOrientation}
+                    onPagesPerSheetChange={setPagesPerSheet}
+                    onPaperSizeChange={setPaperSize}
+                    onMarginsChange={setMargins}
+                    onWhitespaceChange={setWhitespace}
+                    onStripCommentsChange={setStripComments}
+                    onDiffModeChange={setDiffMode}
+                    onLanguageChange={handleLanguageChange}
+                    onAuthorChange={setAuthor}
+                    onHeaderTemplateChange={setHeaderTemplate}
+                    onFooterTemplateChange={setFooterTemplate}
+                    onPrint={handlePrint}
+                    onExportPdf={handleExportPdf}
+                    onCopyLink={handleCopyLink}
+                    workspace={workspace}
+                    files={files}
+                    isModified={isModified}
+                    onWorkspaceOpen={handleWorkspaceOpen}
+                    onWorkspaceSaved={handleWorkspaceSaved}
+                    onWorkspaceRenamed={handleWorkspaceRenamed}
+                    onWorkspaceDeleted={handleWorkspaceDeleted}
+                    view={view}
+                    onViewChange={setView}
+                    onShowShortcuts={() => setShortcutsOpen(true)}
                 ></Toolbar>
             </div>
-            <div className="flex grow flex-col overflow-y-auto p-3">
-                <Textarea
-                    className={cn(
-                        'grow resize-none print:hidden',
-                        preview ? 'hidden' : '',
+            <CommandPalette
+                open={paletteOpen}
+                onOpenChange={setPaletteOpen}
+                groups={paletteGroups}
+            ></CommandPalette>
+            <ShortcutsHelp
+                open={shortcutsOpen}
+                onOpenChange={setShortcutsOpen}
+            ></ShortcutsHelp>
+            {printProgress ? (
+                <PrintProgress
+                    done={printProgress.done}
+                    total={printProgress.total}
+                ></PrintProgress>
+            ) : null}
+            <div
+                className={cn(
+                    'flex grow',
+                    dragging
+                        ? 'outline-2 -outline-offset-4 outline-dashed'
+                        : '',
+                )}
+                onDragOver={handleDragOver}
+                onDragLeave={handleDragLeave}
+                onDrop={handleDrop}
+            >
+                <FileList
+                    files={files}
+                    activeFileId={activeFile.id}
+                    onSelect={setActiveFileId}
+                    onAdd={handleAddFile}
+                    onRename={(id, name) =>
+                        setFiles(updateCodeFile(files, id, { name }))
+                    }
+                    onRemove={handleRemoveFile}
+                    onMove={(id, offset) =>
+                        setFiles(moveCodeFile(files, id, offset))
+                    }
+                    onOpen={handleOpenPicked}
+                    onOpenArchive={handleOpenSubmissions}
+                    includeGlobs={includeGlobs}
+                    excludeGlobs={excludeGlobs}
+                    onIncludeGlobsChange={setIncludeGlobs}
+                    onExcludeGlobsChange={setExcludeGlobs}
+                ></FileList>
+                <div className="flex grow flex-col overflow-y-auto p-3">
+                    {isDiffing ? null : (
+                        <FileOptions
+                            file={activeFile}
+                            language={resolveLanguage(activeFile)}
+                            fileCount={files.length}
+                            notePlacement={notePlacement}
+                            onChange={updateActiveFile}
+                            onFormat={() => formatFiles([activeFile])}
+                            onFormatAll={handleFormatAll}
+                            onRestoreOriginal={handleRestoreOriginal}
+                            onNotePlacementChange={setNotePlacement}
+                        ></FileOptions>
+                    )}
+                    {view === 'split' ? (
+                        <SplitView
+                            ratio={splitRatio}
+                            onRatioChange={setSplitRatio}
+                            editor={editor}
+                            preview={
+                                <PagedPreview layout={layout}>
+                                    {printout}
+                                </PagedPreview>
+                            }
+                        ></SplitView>
+                    ) : (
+                        <>
+                            <div
+                                className={cn(
+                                    'flex grow gap-3 print:hidden',
+                                    view === 'preview' ? 'hidden' : '',
+                                )}
+                            >
+                                {editor}
+                            </div>
+                            {view === 'preview' ? (
+                                <PagedPreview layout={layout}>
+                                    {printout}
+                                </PagedPreview>
+                            ) : (
+                                <div className="hidden print:block">
+                                    {printout}
+                                </div>
+                            )}
+                        </>
                     )}
-                    style={{ fontFamily: font, fontSize: size + 'pt' }}
-                    placeholder="Paste your code here!"
-                    onChange={(e) => setCode(e.currentTarget.value)}
-                ></Textarea>
-
-                <div
-                    className={preview ? 'flex' : 'hidden print:block'}
-                    style={{
-                        fontSize: '62.5%',
-                    }}
-                >
-                    <SyntaxHighlighter
-                        className="flex grow"
-                        lineProps={
-                            showLineNumbers
-                                ? {
-                                      className:
-                                          'lineNumber whitespace-pre-wrap hyphens-none',
-                                  }
-                                : null
-                        }
-                        wrapLines="true"
-                        style={themes[themeName] || ''}
-                        codeTagProps={{
-                            style: {
-                                fontFamily: `"${font}", monospace`,
-                                fontSize: `${size}pt`,
-                            },
-                        }}
-                        lineNumberStyle={{
-                            fontFamily: `"${font}", monospace`,
-                            fontSize: `${size}pt`,
-                        }}
-                        language={language}
-                        customStyle={{ border: 'none' }}
-                    >
-                        {code}
-                    </SyntaxHighlighter>
                 </div>
             </div>
         </>
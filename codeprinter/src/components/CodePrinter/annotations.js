@@ -0,0 +1,52 @@
+// Notes attached to line numbers, printed as numbered callouts in a margin
+// beside the code or as footnotes after it.
+
+export const NOTE_PLACEMENTS = Object.freeze(['margin', 'footnotes']);
+
+export const DEFAULT_NOTE_PLACEMENT = 'margin';
+
+/**
+ * Keeps only well-formed notes, e.g. from a share link or older state.
+ * @param {any} notes
+ * @returns {Array<{line: number, text: string}>}
+ */
+export function sanitizeNotes(notes) {
+    if (!Array.isArray(notes)) return [];
+    return notes
+        .filter(
+            (note) =>
+                note &&
+                Number.isInteger(note.line) &&
+                note.line >= 1 &&
+                typeof note.text === 'string',
+        )
+        .map(({ line, text }) => ({ line, text }));
+}
+
+/**
+ * Numbers the non-empty notes in line order, which is the order their
+ * callouts appear on paper.
+ * @param {Array<{line: number, text: string}>} notes
+ * @returns {Array<{line: number, text: string, number: number}>}
+ */
+export function numberNotes(notes) {
+    return (notes || [])
+        .filter((note) => note.text.trim())
+        .map((note, index) => ({ ...note, index }))
+        .sort((a, b) => a.line - b.line || a.index - b.index)
+        .map(({ line, text }, i) => ({ line, text, number: i + 1 }));
+}
+
+/**
+ * Groups numbered notes by line.
+ * @param {ReturnType<typeof numberNotes>} numberedNotes
+ * @returns {Map<number, ReturnType<typeof numberNotes>>}
+ */
+export function notesByLine(numberedNotes) {
+    const byLine = new Map();
+    numberedNotes.forEach((note) => {
+        if (!byLine.has(note.line)) byLine.set(note.line, []);
+        byLine.get(note.line).push(note);
+    });
+    return byLine;
+}
@@ -0,0 +1,124 @@
+// Lets PDF export embed the bundled @fontsource fonts. jsPDF only reads
+// TrueType, and the packages ship WOFF files, which are TrueType tables
+// compressed one by one with zlib; they are unpacked here when a PDF first
+// needs them. Only the Latin subset is bundled, so other scripts print as
+// missing glyphs.
+
+import { registerPdfFont } from './pdfExport.js';
+
+/** Regular and bold WOFF files of every bundled font, by URL. */
+const WOFF_URLS = import.meta.glob(
+    '/node_modules/@fontsource/*/files/*-latin-{400,700}-normal.woff',
+    { query: '?url', import: 'default', eager: true },
+);
+
+const WOFF_SIGNATURE = 0x774f4646; // 'wOFF'
+const WOFF_HEADER_SIZE = 44;
+const WOFF_ENTRY_SIZE = 20;
+const SFNT_HEADER_SIZE = 12;
+const SFNT_ENTRY_SIZE = 16;
+
+const inflate = async (bytes) =>
+    new Uint8Array(
+        await new Response(
+            new Blob([bytes])
+                .stream()
+                .pipeThrough(new DecompressionStream('deflate')),
+        ).arrayBuffer(),
+    );
+
+/**
+ * Unpacks a WOFF (version 1) font into the TrueType or OpenType file it wraps.
+ * @param {ArrayBuffer} woff
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} when the data is not a WOFF font
+ */
+export async function woffToSfnt(woff) {
+    const input = new DataView(woff);
+    if (input.getUint32(0) !== WOFF_SIGNATURE) {
+        throw new Error('Not a WOFF font');
+    }
+    const flavor = input.getUint32(4);
+    const numTables = input.getUint16(12);
+
+    const tables = [];
+    for (let i = 0; i < numTables; i++) {
+        const entry = WOFF_HEADER_SIZE + i * WOFF_ENTRY_SIZE;
+        const offset = input.getUint32(entry + 4);
+        const compLength = input.getUint32(entry + 8);
+        const origLength = input.getUint32(entry + 12);
+        const stored = new Uint8Array(woff, offset, compLength);
+        tables.push({
+            tag: input.getUint32(entry),
+            checksum: input.getUint32(entry + 16),
+            data:
+                compLength < origLength
+                    ? await inflate(stored)
+                    : stored.slice(),
+        });
+    }
+
+    // Table data is 4-byte aligned after the header and table directory.
+    const padded = (length) => (length + 3) & ~3;
+    let offset = SFNT_HEADER_SIZE + numTables * SFNT_ENTRY_SIZE;
+    const size = tables.reduce(
+        (total, table) => total + padded(table.data.length),
+        offset,
+    );
+    const output = new Uint8Array(size);
+    const view = new DataView(output.buffer);
+
+    const searchPower = Math.floor(Math.log2(numTables));
+    view.setUint32(0, flavor);
+    view.setUint16(4, numTables);
+    view.setUint16(6, 2 ** searchPower * 16);
+    view.setUint16(8, searchPower);
+    view.setUint16(10, numTables * 16 - 2 ** searchPower * 16);
+
+    tables.forEach((table, i) => {
+        const entry = SFNT_HEADER_SIZE + i * SFNT_ENTRY_SIZE;
+        view.setUint32(entry, table.tag);
+        view.setUint32(entry + 4, table.checksum);
+        view.setUint32(entry + 8, offset);
+        view.setUint32(entry + 12, table.data.length);
+        output.set(table.data, offset);
+        offset += padded(table.data.length);
+    });
+    return output.buffer;
+}
+
+const loadSfnt = async (url) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`Could not fetch ${url}`);
+    return woffToSfnt(await response.arrayBuffer());
+};
+
+/** @fontsource package name for a family, e.g. `IBM Plex Mono` → `ibm-plex-mono`. */
+const packageName = (family) => family.toLowerCase().replace(/\s+/g, '-');
+
+/**
+ * Registers PDF loaders for each family in the list that is bundled.
+ * @param {string[]} families
+ */
+export function registerBundledPdfFonts(families) {
+    families.forEach((family) => {
+        const name = packageName(family);
+        const url = (weight) =>
+            WOFF_URLS[
+                `/node_modules/@fontsource/${name}/files/${name}-latin-${weight}-normal.woff`
+            ];
+        if (!url(400)) return;
+        let faces = null;
+        registerPdfFont(family, () => {
+            faces ??= Promise.all([
+                loadSfnt(url(400)),
+                url(700) ? loadSfnt(url(700)) : null,
+            ]).then(([normal, bold]) => ({ normal, bold }));
+            // Let a failed download be tried again by the next export.
+            faces.catch(() => {
+                faces = null;
+            });
+            return faces;
+        });
+    });
+}
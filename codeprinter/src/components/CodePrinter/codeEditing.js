@@ -0,0 +1,130 @@
+// Text operations behind the code editor: Tab/Shift-Tab indentation and
+// find & replace. Edits are returned as a range and its replacement so the
+// editor can apply each one as a single undoable change.
+
+/**
+ * The indent Tab inserts: a tab when the code mostly indents with tabs,
+ * otherwise `tabWidth` spaces.
+ * @param {string} code
+ * @param {number} tabWidth
+ */
+export function indentUnit(code, tabWidth) {
+    const tabs = (code.match(/^\t/gm) || []).length;
+    const spaces = (code.match(/^ /gm) || []).length;
+    return tabs > spaces ? '\t' : ' '.repeat(tabWidth);
+}
+
+/**
+ * Indents, or outdents, every line the selection touches. A selection that
+ * ends at the very start of a line leaves that line alone.
+ * @param {string} code
+ * @param {number} selectionStart
+ * @param {number} selectionEnd
+ * @param {{unit: string, tabWidth: number, outdent?: boolean}} options
+ * @returns {{from: number, to: number, text: string, selectionStart: number, selectionEnd: number}}
+ *   replace code.slice(from, to) with text, then select the given range
+ */
+export function shiftLines(
+    code,
+    selectionStart,
+    selectionEnd,
+    { unit, tabWidth, outdent = false },
+) {
+    const from = code.lastIndexOf('\n', selectionStart - 1) + 1;
+    const last =
+        selectionEnd > selectionStart && code[selectionEnd - 1] === '\n'
+            ? selectionEnd - 1
+            : selectionEnd;
+    const lineEnd = code.indexOf('\n', last);
+    const to = lineEnd === -1 ? code.length : lineEnd;
+
+    const lines = code.slice(from, to).split('\n');
+    const shifted = lines.map((line) => {
+        if (!outdent) return unit + line;
+        if (line.startsWith('\t')) return line.slice(1);
+        const spaces = line.match(/^ */)[0].length;
+        return line.slice(Math.min(spaces, tabWidth));
+    });
+    const text = shifted.join('\n');
+    const firstShift = shifted[0].length - lines[0].length;
+
+    return {
+        from,
+        to,
+        text,
+        selectionStart: Math.max(from, selectionStart + firstShift),
+        selectionEnd: Math.max(from, selectionEnd + text.length - (to - from)),
+    };
+}
+
+/**
+ * Stops a search for something like a single space in a huge file. Only
+ * the matches shown are capped; replacing all of them is not.
+ */
+export const MAX_MATCHES = 10000;
+
+/**
+ * Finds every occurrence of a plain-text query.
+ * @param {string} code
+ * @param {string} query
+ * @param {{matchCase?: boolean, limit?: number}} [options]
+ * @returns {Array<{start: number, end: number}>} in order, at most `limit`
+ */
+export function findMatches(
+    code,
+    query,
+    { matchCase = false, limit = MAX_MATCHES } = {},
+) {
+    if (!query) return [];
+    const pattern = new RegExp(
+        query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'),
+        matchCase ? 'g' : 'gi',
+    );
+    const matches = [];
+    for (const match of code.matchAll(pattern)) {
+        matches.push({
+            start: match.index,
+            end: match.index + match[0].length,
+        });
+        if (matches.length === limit) break;
+    }
+    return matches;
+}
+
+/**
+ * The matches that overlap a range of the code.
+ * @param {Array<{start: number, end: number}>} matches as from findMatches
+ * @param {number} from
+ * @param {number} to
+ * @returns {number[]} indexes into matches
+ */
+export function matchesBetween(matches, from, to) {
+    let low = 0;
+    let high = matches.length;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (matches[middle].end <= from) low = middle + 1;
+        else high = middle;
+    }
+    const found = [];
+    for (let i = low; i < matches.length && matches[i].start < to; i++) {
+        found.push(i);
+    }
+    return found;
+}
+
+/**
+ * Replaces every match at once.
+ * @param {string} code
+ * @param {Array<{start: number, end: number}>} matches as from findMatches
+ * @param {string} replacement
+ */
+export function replaceMatches(code, matches, replacement) {
+    let result = '';
+    let offset = 0;
+    matches.forEach(({ start, end }) => {
+        result += code.slice(offset, start) + replacement;
+        offset = end;
+    });
+    return result + code.slice(offset);
+}
@@ -0,0 +1,146 @@
+// Helpers for the list of files that make up a CodePrinter print job.
+// Each entry carries its own name, code and language so a whole assignment
+// can be printed in one pass, plus an optional earlier version of the code
+// for diff printing, the code as it was before formatting, any notes
+// attached to its lines and, for batches of submissions, the student it came
+// from.
+
+import { AUTO_LANGUAGE } from './languageDetection.js';
+import { sanitizeNotes } from './annotations.js';
+
+export const DEFAULT_FILE_NAME = 'Untitled';
+
+let fallbackId = 0;
+
+function nextFileId() {
+    if (globalThis.crypto?.randomUUID) {
+        return globalThis.crypto.randomUUID();
+    }
+    fallbackId += 1;
+    return `file-${Date.now()}-${fallbackId}`;
+}
+
+/**
+ * Creates a new print job entry.
+ * @param {{name?: string, code?: string, previousCode?: string, originalCode?: string, language?: string, lineRange?: string, highlightLines?: string, notes?: Array<{line: number, text: string}>, student?: string}} [fields]
+ * @returns {{id: string, name: string, code: string, previousCode: string, originalCode: string, language: string, lineRange: string, highlightLines: string, notes: Array<{line: number, text: string}>, student: string}}
+ */
+export function createCodeFile({
+    name = DEFAULT_FILE_NAME,
+    code = '',
+    previousCode = '',
+    originalCode = '',
+    language = AUTO_LANGUAGE,
+    lineRange = '',
+    highlightLines = '',
+    notes = [],
+    student = '',
+} = {}) {
+    return {
+        id: nextFileId(),
+        name,
+        code,
+        previousCode,
+        originalCode,
+        language,
+        lineRange,
+        highlightLines,
+        notes,
+        student,
+    };
+}
+
+const storedString = (value) => (typeof value === 'string' ? value : undefined);
+
+/**
+ * Fields of a file that are saved or shared, with the function that
+ * validates each when it is read back (returning undefined to drop it).
+ */
+export const STORED_FILE_FIELDS = Object.freeze({
+    name: storedString,
+    code: storedString,
+    previousCode: storedString,
+    originalCode: storedString,
+    language: storedString,
+    lineRange: storedString,
+    highlightLines: storedString,
+    notes: sanitizeNotes,
+    student: storedString,
+});
+
+/**
+ * Copies the stored fields of a file, leaving out empty ones.
+ * @param {object} file
+ * @returns {Record<string, any>}
+ */
+export function storedFileFields(file) {
+    return Object.fromEntries(
+        Object.keys(STORED_FILE_FIELDS)
+            .filter((field) =>
+                Array.isArray(file[field]) ? file[field].length : file[field],
+            )
+            .map((field) => [field, file[field]]),
+    );
+}
+
+/**
+ * Recreates a file from stored fields, ignoring anything malformed.
+ * @param {any} record
+ * @returns {ReturnType<typeof createCodeFile>|null} null when there is no code
+ */
+export function restoreCodeFile(record) {
+    if (!record || typeof record.code !== 'string') return null;
+    return createCodeFile(
+        Object.fromEntries(
+            Object.entries(STORED_FILE_FIELDS)
+                .map(([field, normalize]) => [field, normalize(record[field])])
+                .filter(([, value]) => value !== undefined),
+        ),
+    );
+}
+
+/**
+ * Returns a copy of the list with the matching file's fields replaced.
+ * @param {Array<object>} files
+ * @param {string} id
+ * @param {object} changes
+ */
+export function updateCodeFile(files, id, changes) {
+    return files.map((file) =>
+        file.id === id ? { ...file, ...changes } : file,
+    );
+}
+
+/**
+ * Returns a copy of the list with the file at `id` shifted by `offset` places.
+ * @param {Array<object>} files
+ * @param {string} id
+ * @param {number} offset
+ */
+export function moveCodeFile(files, id, offset) {
+    const from = files.findIndex((file) => file.id === id);
+    const to = from + offset;
+    if (from < 0 || to < 0 || to >= files.length) return files;
+
+    const reordered = files.slice();
+    const [moved] = reordered.splice(from, 1);
+    reordered.splice(to, 0, moved);
+    return reordered;
+}
+
+/**
+ * Picks a name that is not already used by another file in the list.
+ * @param {Array<{name: string}>} files
+ * @param {string} [baseName]
+ */
+export function uniqueFileName(files, baseName = DEFAULT_FILE_NAME) {
+    const taken = new Set(files.map((file) => file.name));
+    if (!taken.has(baseName)) return baseName;
+
+    const dot = baseName.lastIndexOf('.');
+    const stem = dot > 0 ? baseName.slice(0, dot) : baseName;
+    const ext = dot > 0 ? baseName.slice(dot) : '';
+    let n = 2;
+    while (taken.has(`${stem} (${n})${ext}`)) n++;
+    return `${stem} (${n})${ext}`;
+}
@@ -0,0 +1,327 @@
+// Re-indents code before printing, entirely in the browser. Web languages go
+// through Prettier's standalone build (loaded on first use); Java and Python
+// are re-indented from the highlight.js token stream so brackets and
+// indentation inside strings and comments are left alone.
+
+import { highlightTree } from './highlightTokens.js';
+import { expandLineTabs } from './whitespace.js';
+
+/** Prettier parser and plugin loaders for each language it formats. */
+const PRETTIER_LANGUAGES = {
+    javascript: {
+        parser: 'babel',
+        plugins: () => [
+            import('prettier/plugins/babel'),
+            import('prettier/plugins/estree'),
+        ],
+    },
+    typescript: {
+        parser: 'typescript',
+        plugins: () => [
+            import('prettier/plugins/typescript'),
+            import('prettier/plugins/estree'),
+        ],
+    },
+    json: {
+        parser: 'json',
+        plugins: () => [
+            import('prettier/plugins/babel'),
+            import('prettier/plugins/estree'),
+        ],
+    },
+    xml: {
+        parser: 'html',
+        plugins: () => [import('prettier/plugins/html')],
+    },
+    css: {
+        parser: 'css',
+        plugins: () => [import('prettier/plugins/postcss')],
+    },
+    scss: {
+        parser: 'scss',
+        plugins: () => [import('prettier/plugins/postcss')],
+    },
+    less: {
+        parser: 'less',
+        plugins: () => [import('prettier/plugins/postcss')],
+    },
+};
+
+/** Languages re-indented from their tokens instead of by Prettier. */
+const TOKEN_FORMATTERS = {
+    java: (code, indentUnit) => reindentBrackets(code, 'java', indentUnit),
+    python: (code, indentUnit) => reindentPython(code, indentUnit),
+};
+
+/** highlight.js classes whose text is never re-indented or bracket-counted. */
+const QUOTED_CLASSES = {
+    'hljs-string': 'string',
+    'hljs-regexp': 'string',
+    'hljs-comment': 'comment',
+};
+
+const PYTHON_TAB_WIDTH = 8;
+
+/**
+ * Whether formatCode supports a language. HTML is highlighted as `xml`, so
+ * other XML files are only formatted when they look like HTML.
+ * @param {string} language
+ * @param {string} [code]
+ */
+export function canFormat(language, code = '') {
+    if (language === 'xml') {
+        return /^\s*(<!doctype html|<html[\s>])/i.test(code);
+    }
+    return (
+        Object.hasOwn(PRETTIER_LANGUAGES, language) ||
+        Object.hasOwn(TOKEN_FORMATTERS, language)
+    );
+}
+
+/**
+ * Splits highlighted code into lines, noting for each whether it starts
+ * inside a multi-line string or comment, and keeping only the text outside
+ * strings and comments.
+ * @returns {Array<{inside: 'string'|'comment'|null, bare: string}>}
+ */
+function classifyLines(code, language) {
+    const lines = [{ inside: null, bare: '' }];
+    const walk = (nodes, quoted) => {
+        nodes.forEach((node) => {
+            if (node.type === 'text') {
+                node.value.split('\n').forEach((text, i) => {
+                    if (i > 0) lines.push({ inside: quoted, bare: '' });
+                    if (!quoted) lines[lines.length - 1].bare += text;
+                });
+            } else if (node.children) {
+                const kind = (node.properties?.className || [])
+                    .map((className) => QUOTED_CLASSES[className])
+                    .find(Boolean);
+                walk(node.children, quoted || kind || null);
+            }
+        });
+    };
+    walk(highlightTree(code, language), null);
+    return lines;
+}
+
+const OPENERS = '([{';
+const CLOSERS = ')]}';
+
+/** Statements whose body may be a single statement without braces. */
+const CONTROL_HEADER = /^(?:\}\s*)?(?:if|else|for|while|do)\b/;
+const IF_HEADER = /^(?:\}\s*)?(?:else\s+)?if\b/;
+const CASE_LABEL = /^(?:case\b|default\s*[:-])/;
+
+/**
+ * Re-indents brace languages like Java from their structure; the original
+ * leading whitespace is thrown away. Each enclosing bracket adds one level
+ * (brackets opened on the same line count once), and a line inside a block
+ * gets one more for a `case` body, for each pending brace-less
+ * `if`/`for`/`while`/`else`/`do` body and for continuing an unterminated
+ * statement. An `else` lines up with the nearest `if` it can belong to.
+ */
+function reindentBrackets(code, language, indentUnit) {
+    const info = classifyLines(code, language);
+    const block = (line, level) => ({
+        block: true,
+        line,
+        level,
+        bodyLevel: level + 1,
+        inCase: false,
+        // Control statement whose header is still open: 'if', 'other' or null.
+        header: null,
+        // One entry per brace-less body still waiting, true for `if`s.
+        pending: [],
+        // `pending` as it stood when the last statement ended, for `else`.
+        finished: [],
+        continued: false,
+    });
+    // The file itself is an outermost block whose body is not indented.
+    const frames = [block(-1, -1)];
+    let lastIndent = '';
+    // The last character of code seen, to tell array initializers from blocks.
+    let lastChar = '';
+    const lines = code.split('\n').map((line, index) => {
+        const { inside, bare } = info[index];
+        const trimmed = line.trim();
+        if (inside === 'string') return line;
+        if (!trimmed) return '';
+        const text = bare.trim();
+        if (inside === 'comment' && !text) {
+            // Keep the ` * ` column of block comments.
+            return lastIndent + (trimmed.startsWith('*') ? ' ' : '') + trimmed;
+        }
+
+        const leadingClosers = text.match(/^[)\]}]*/)[0].length;
+        if (leadingClosers >= frames.length) {
+            throw new Error(`Unexpected "${text[0]}" on line ${index + 1}`);
+        }
+        const frame = frames[frames.length - 1];
+        let level = frame.bodyLevel;
+        if (leadingClosers) {
+            // A closing bracket lines up with the line that opened it.
+            level = frames[frames.length - leadingClosers].level;
+        } else if (frame.block) {
+            if (/^else\b/.test(text) && frame.finished.includes(true)) {
+                // Resume the pending bodies around the `if` this belongs to.
+                const ifDepth = frame.finished.lastIndexOf(true);
+                frame.pending = frame.finished.slice(0, ifDepth);
+                frame.finished = frame.pending;
+            }
+            const opensBlock = text.startsWith('{');
+            if (frame.inCase && !CASE_LABEL.test(text)) level += 1;
+            // A brace on its own line belongs with the statement above it.
+            level += Math.max(0, frame.pending.length - (opensBlock ? 1 : 0));
+            if (frame.continued && text && !opensBlock) level += 1;
+        }
+        const indent = indentUnit.repeat(level);
+        lastIndent = indent;
+        if (!text) return indent + trimmed;
+
+        const statement = frames[frames.length - 1 - leadingClosers];
+        if (statement.block) {
+            if (CONTROL_HEADER.test(text)) {
+                statement.header = IF_HEADER.test(text) ? 'if' : 'other';
+            }
+            if (CASE_LABEL.test(text)) {
+                statement.inCase = true;
+                statement.pending = [];
+                statement.finished = [];
+                statement.continued = false;
+            }
+        }
+        let closedIf = false;
+        for (const char of text) {
+            if (OPENERS.includes(char)) {
+                const top = frames[frames.length - 1];
+                if (char === '{' && !/[=\],{(]/.test(lastChar)) {
+                    // The enclosing statement's body is braced.
+                    frames.push({
+                        ...block(index, level),
+                        ifBody: top.header === 'if',
+                    });
+                    top.header = null;
+                } else {
+                    frames.push({ line: index, level, bodyLevel: level + 1 });
+                }
+            }
+            if (CLOSERS.includes(char)) {
+                if (frames.length === 1) {
+                    throw new Error(
+                        `Unexpected "${char}" on line ${index + 1}`,
+                    );
+                }
+                closedIf = Boolean(frames.pop().ifBody);
+            }
+            if (char.trim()) lastChar = char;
+        }
+
+        // Track where the statement this line belongs to stands.
+        const top = frames[frames.length - 1];
+        if (top.block && top.line !== index) {
+            const end = text[text.length - 1];
+            if (end === ';' || end === '}') {
+                top.finished = closedIf ? [...top.pending, true] : top.pending;
+                top.pending = [];
+                top.continued = false;
+            } else if (top.header) {
+                top.pending = [...top.pending, top.header === 'if'];
+                top.continued = false;
+            } else if (end !== ':' && end !== ',' && !text.startsWith('@')) {
+                top.continued = true;
+            }
+            top.header = null;
+        }
+        return indent + trimmed;
+    });
+    if (frames.length > 1) throw new Error('Unclosed bracket at end of file');
+    return lines.join('\n');
+}
+
+/**
+ * Rewrites Python indentation with a consistent unit per block level. Lines
+ * continued inside brackets or after a backslash move with their statement.
+ */
+function reindentPython(code, indentUnit) {
+    const info = classifyLines(code, 'python');
+    const levels = [0];
+    let depth = 0;
+    let continued = false;
+    let shift = 0;
+    const lines = code.split('\n').map((line, index) => {
+        const { inside, bare } = info[index];
+        const trimmed = line.trim();
+        const width = expandLineTabs(
+            line.match(/^[ \t]*/)[0],
+            PYTHON_TAB_WIDTH,
+        ).length;
+        let formatted = line;
+        if (inside === 'string') {
+            // Multi-line string contents stay as written.
+        } else if (!trimmed) {
+            formatted = '';
+        } else if (depth > 0 || continued) {
+            formatted = ' '.repeat(Math.max(0, width + shift)) + trimmed;
+        } else if (!bare.trim() && trimmed.startsWith('#')) {
+            // Comments may sit at any indentation; snap them to a level.
+            const level = levels.filter(
+                (levelWidth) => levelWidth <= width,
+            ).length;
+            formatted = indentUnit.repeat(Math.max(0, level - 1)) + trimmed;
+        } else {
+            if (width > levels[levels.length - 1]) levels.push(width);
+            while (width < levels[levels.length - 1]) levels.pop();
+            if (width !== levels[levels.length - 1]) {
+                throw new Error(
+                    `Unindent does not match any outer indentation level on line ${index + 1}`,
+                );
+            }
+            const indent = indentUnit.repeat(levels.length - 1);
+            shift = indent.length - width;
+            formatted = indent + trimmed;
+        }
+        for (const char of bare) {
+            if (OPENERS.includes(char)) depth += 1;
+            if (CLOSERS.includes(char)) depth = Math.max(0, depth - 1);
+        }
+        continued = /\\\s*$/.test(bare);
+        return formatted;
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Formats code in the given language.
+ * @param {string} code
+ * @param {string} language resolved highlight.js language name
+ * @param {{tabWidth?: number}} [options]
+ * @returns {Promise<string>}
+ * @throws {Error} when the code cannot be parsed
+ */
+export async function formatCode(code, language, { tabWidth = 4 } = {}) {
+    const source = code.replace(/\r\n?/g, '\n');
+    if (Object.hasOwn(TOKEN_FORMATTERS, language)) {
+        return TOKEN_FORMATTERS[language](source, ' '.repeat(tabWidth));
+    }
+    if (!Object.hasOwn(PRETTIER_LANGUAGES, language)) {
+        throw new Error(`Formatting ${language} is not supported`);
+    }
+    const config = PRETTIER_LANGUAGES[language];
+
+    const [prettier, ...plugins] = await Promise.all([
+        import('prettier/standalone'),
+        ...config.plugins(),
+    ]);
+    try {
+        return await prettier.format(source, {
+            parser: config.parser,
+            plugins,
+            tabWidth,
+        });
+    } catch (err) {
+        // Prettier's messages end with a code frame; the first line is enough
+        // for a toast.
+        throw new Error(err.message.split('\n')[0], { cause: err });
+    }
+}
@@ -0,0 +1,137 @@
+import { describe, expect, it } from 'vitest';
+import { canFormat, formatCode } from './codeFormatting.js';
+
+const java = (lines) => lines.join('\n');
+
+describe('canFormat', () => {
+    it('knows the formatted languages', () => {
+        expect(canFormat('java')).toBe(true);
+        expect(canFormat('javascript')).toBe(true);
+        expect(canFormat('ruby')).toBe(false);
+        expect(canFormat('constructor')).toBe(false);
+    });
+
+    it('only formats XML that looks like HTML', () => {
+        expect(canFormat('xml', '<!DOCTYPE html><p>')).toBe(true);
+        expect(canFormat('xml', '<project/>')).toBe(false);
+    });
+});
+
+describe('formatCode for Java', () => {
+    it('indents from the structure, ignoring the original indent', async () => {
+        const code = java([
+            'class A {',
+            '      void f(int x) {',
+            '   if (x > 3)',
+            ' x--;',
+            'switch (x) {',
+            '        case 1:',
+            'go();',
+            '  break;',
+            '      default:',
+            ' stop();',
+            '}',
+            '  String s = "a"',
+            '+ "b";',
+            '}',
+            '}',
+        ]);
+        expect(await formatCode(code, 'java', { tabWidth: 2 })).toBe(
+            java([
+                'class A {',
+                '  void f(int x) {',
+                '    if (x > 3)',
+                '      x--;',
+                '    switch (x) {',
+                '      case 1:',
+                '        go();',
+                '        break;',
+                '      default:',
+                '        stop();',
+                '    }',
+                '    String s = "a"',
+                '      + "b";',
+                '  }',
+                '}',
+            ]),
+        );
+    });
+
+    it('pairs a dangling else with the nearest if', async () => {
+        const code = java(['if (a)', 'if (b)', 'x();', 'else', 'y();', 'z();']);
+        expect(await formatCode(code, 'java')).toBe(
+            java([
+                'if (a)',
+                '    if (b)',
+                '        x();',
+                '    else',
+                '        y();',
+                'z();',
+            ]),
+        );
+    });
+
+    it('leaves text blocks and comments as written', async () => {
+        const code = java([
+            'class A {',
+            'String s = """',
+            '   {keep',
+            '""";',
+            '/**',
+            '* Doc {',
+            '*/',
+            '}',
+        ]);
+        expect(await formatCode(code, 'java')).toBe(
+            java([
+                'class A {',
+                '    String s = """',
+                '   {keep',
+                '""";',
+                '    /**',
+                '     * Doc {',
+                '     */',
+                '}',
+            ]),
+        );
+    });
+
+    it('reports unbalanced brackets', async () => {
+        await expect(formatCode('class A { }}', 'java')).rejects.toThrow(
+            'Unexpected "}" on line 1',
+        );
+        await expect(formatCode('class A {', 'java')).rejects.toThrow(
+            'Unclosed bracket at end of file',
+        );
+    });
+});
+
+describe('formatCode for Python', () => {
+    it('rewrites block indentation with the chosen unit', async () => {
+        const code =
+            'def f(x):\n  if x:\n        return [1,\n          2]\n  return 0';
+        expect(await formatCode(code, 'python', { tabWidth: 4 })).toBe(
+            'def f(x):\n    if x:\n        return [1,\n          2]\n    return 0',
+        );
+    });
+
+    it('rejects an unindent that matches no outer level', async () => {
+        await expect(formatCode('if x:\n    a\n  b', 'python')).rejects.toThrow(
+            'line 3',
+        );
+    });
+});
+
+describe('formatCode with Prettier', () => {
+    it('formats JavaScript', async () => {
+        expect(await formatCode('const a={b:1}', 'javascript')).toBe(
+            'const a = { b: 1 };\n',
+        );
+    });
+
+    it('reports the first line of a syntax error', async () => {
+        await expect(formatCode('const = ;', 'javascript')).rejects.toThrow(
+            /^Unexpected token/,
+        );
+    });
+});
@@ -0,0 +1,101 @@
+// Colour helpers for hljs theme values: parsing to RGB and measuring contrast.
+
+/** Named colours that appear in the bundled hljs themes. */
+const NAMED_COLORS = Object.freeze({
+    black: [0, 0, 0],
+    white: [255, 255, 255],
+    gray: [128, 128, 128],
+    grey: [128, 128, 128],
+    silver: [192, 192, 192],
+    red: [255, 0, 0],
+    maroon: [128, 0, 0],
+    green: [0, 128, 0],
+    lime: [0, 255, 0],
+    olive: [128, 128, 0],
+    navy: [0, 0, 128],
+    blue: [0, 0, 255],
+    teal: [0, 128, 128],
+    aqua: [0, 255, 255],
+    purple: [128, 0, 128],
+    fuchsia: [255, 0, 255],
+    yellow: [255, 255, 0],
+    orange: [255, 165, 0],
+    brown: [165, 42, 42],
+    darkgreen: [0, 100, 0],
+    darkblue: [0, 0, 139],
+    darkred: [139, 0, 0],
+});
+
+/**
+ * Parses a CSS colour value (#rgb, #rrggbb, rgb()/rgba() or a common name).
+ * @param {string} value
+ * @returns {[number, number, number]|null}
+ */
+export function parseCssColor(value) {
+    if (typeof value !== 'string') return null;
+    const color = value.trim().toLowerCase();
+
+    if (NAMED_COLORS[color]) return [...NAMED_COLORS[color]];
+
+    const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/);
+    if (hex) {
+        const digits =
+            hex[1].length === 3
+                ? hex[1]
+                      .split('')
+                      .map((d) => d + d)
+                      .join('')
+                : hex[1];
+        return [0, 2, 4].map((i) => parseInt(digits.slice(i, i + 2), 16));
+    }
+
+    const rgb = color.match(
+        /^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)(?:\s*,\s*[\d.]+)?\s*\)$/,
+    );
+    if (rgb) return rgb.slice(1, 4).map((n) => Math.min(Number(n), 255));
+
+    return null;
+}
+
+/**
+ * Formats an RGB triple as #rrggbb.
+ * @param {[number, number, number]} rgb
+ */
+export function toHexColor(rgb) {
+    return (
+        '#' +
+        rgb
+            .map((n) =>
+                Math.round(Math.max(0, Math.min(255, n)))
+                    .toString(16)
+                    .padStart(2, '0'),
+            )
+            .join('')
+    );
+}
+
+/**
+ * WCAG relative luminance of an sRGB colour, from 0 (black) to 1 (white).
+ * @param {[number, number, number]} rgb
+ * @returns {number}
+ */
+export function relativeLuminance(rgb) {
+    const [r, g, b] = rgb.map((n) => {
+        const c = n / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+/**
+ * WCAG contrast ratio between two colours, from 1 to 21.
+ * @param {[number, number, number]} a
+ * @param {[number, number, number]} b
+ * @returns {number}
+ */
+export function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort(
+        (x, y) => y - x,
+    );
+    return (lighter + 0.05) / (darker + 0.05);
+}
@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+import {
+    contrastRatio,
+    parseCssColor,
+    relativeLuminance,
+    toHexColor,
+} from './colors.js';
+
+describe('parseCssColor', () => {
+    it('parses hex, rgb() and named colours', () => {
+        expect(parseCssColor('#0af')).toEqual([0, 170, 255]);
+        expect(parseCssColor(' #1A2B3C ')).toEqual([26, 43, 60]);
+        expect(parseCssColor('rgba(10, 20, 300, 0.5)')).toEqual([10, 20, 255]);
+        expect(parseCssColor('Navy')).toEqual([0, 0, 128]);
+    });
+
+    it('returns null for values it cannot read', () => {
+        expect(parseCssColor('inherit')).toBeNull();
+        expect(parseCssColor('#12345')).toBeNull();
+        expect(parseCssColor(null)).toBeNull();
+    });
+});
+
+describe('toHexColor', () => {
+    it('rounds and clamps channels', () => {
+        expect(toHexColor([0, 127.6, 300])).toBe('#0080ff');
+    });
+});
+
+describe('contrastRatio', () => {
+    it('spans 1 to 21 between identical colours and black on white', () => {
+        expect(relativeLuminance([255, 255, 255])).toBeCloseTo(1);
+        expect(contrastRatio([0, 0, 0], [255, 255, 255])).toBeCloseTo(21);
+        expect(contrastRatio([255, 255, 255], [0, 0, 0])).toBeCloseTo(21);
+        expect(contrastRatio([50, 90, 10], [50, 90, 10])).toBe(1);
+    });
+
+    it('matches the WCAG ratio for mid grey on white', () => {
+        expect(contrastRatio([118, 118, 118], [255, 255, 255])).toBeCloseTo(
+            4.54,
+            2,
+        );
+    });
+});
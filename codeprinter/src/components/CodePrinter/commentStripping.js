@@ -0,0 +1,74 @@
+// Removes comments from code before printing. Comments are found in the
+// highlight.js token stream rather than by pattern, so comment markers
+// inside strings (`"http://..."`, `"#fff"`) are left alone. Callers pass the
+// highlight tree, so it can come from the highlighting worker.
+
+import { treeToLines } from './highlightTokens.js';
+
+const COMMENT_CLASS = 'hljs-comment';
+
+/**
+ * The text comments are looked for in: the code with `\n` line endings. Its
+ * highlight tree is what commentSegments and stripComments take.
+ * @param {string} code
+ */
+export const commentSource = (code) => code.replace(/\r\n?/g, '\n');
+
+/**
+ * Splits highlighted code into lines of segments flagged as comment or code.
+ * @param {Array<object>} tree highlight tree of commentSource(code)
+ * @returns {Array<Array<{text: string, comment: boolean}>>}
+ */
+export function commentSegments(tree) {
+    return treeToLines(tree).map((tokens) =>
+        tokens.map((token) => ({
+            text: token.text,
+            comment: token.classNames.includes(COMMENT_CLASS),
+        })),
+    );
+}
+
+/**
+ * Removes comments, dropping lines that held nothing but a comment and any
+ * whitespace left before a trailing comment. Blank lines are kept.
+ * @param {Array<object>} tree highlight tree of commentSource(code)
+ * @returns {{code: string, sourceLines: number[]}} code with `\n` line
+ *   endings, and the 1-based line of the original each of its lines came from
+ */
+export function stripComments(tree) {
+    const lines = [];
+    const sourceLines = [];
+    commentSegments(tree).forEach((segments, index) => {
+        const text = segments
+            .filter((segment) => !segment.comment)
+            .map((segment) => segment.text)
+            .join('');
+        const hasComment = segments.some((segment) => segment.comment);
+        if (hasComment && !text.trim()) return;
+        lines.push(hasComment ? text.trimEnd() : text);
+        sourceLines.push(index + 1);
+    });
+    return { code: lines.join('\n'), sourceLines };
+}
+
+/**
+ * Counts what stripComments would remove.
+ * @param {Array<Array<{text: string, comment: boolean}>>} lines from
+ *   commentSegments
+ * @returns {{commentLines: number, droppedLines: number}} lines containing a
+ *   comment, and how many of those disappear entirely
+ */
+export function countComments(lines) {
+    let commentLines = 0;
+    let droppedLines = 0;
+    lines.forEach((segments) => {
+        if (!segments.some((segment) => segment.comment)) return;
+        commentLines += 1;
+        const remaining = segments
+            .filter((segment) => !segment.comment)
+            .map((segment) => segment.text)
+            .join('');
+        if (!remaining.trim()) droppedLines += 1;
+    });
+    return { commentLines, droppedLines };
+}
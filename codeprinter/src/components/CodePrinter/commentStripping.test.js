@@ -0,0 +1,52 @@
+import { describe, expect, it } from 'vitest';
+import {
+    commentSegments,
+    commentSource,
+    countComments,
+    stripComments,
+} from './commentStripping.js';
+import { highlightTree } from './highlightTokens.js';
+
+const treeOf = (code, language) => highlightTree(commentSource(code), language);
+
+describe('stripComments', () => {
+    it('drops comment-only lines and trailing comments', () => {
+        const code = [
+            '// heading',
+            'int a = 1; // one',
+            '',
+            '/* block',
+            '   comment */',
+            'int b = 2;',
+        ].join('\n');
+        expect(stripComments(treeOf(code, 'java'))).toEqual({
+            code: 'int a = 1;\n\nint b = 2;',
+            sourceLines: [2, 3, 6],
+        });
+    });
+
+    it('leaves comment markers inside strings alone', () => {
+        const code = 'url = "http://example.com"  # link\ncolor = "#fff"';
+        expect(stripComments(treeOf(code, 'python')).code).toBe(
+            'url = "http://example.com"\ncolor = "#fff"',
+        );
+    });
+
+    it('reads code with CRLF line endings', () => {
+        expect(
+            stripComments(treeOf('a();\r\n// b\r\nc();', 'javascript')),
+        ).toEqual({ code: 'a();\nc();', sourceLines: [1, 3] });
+    });
+});
+
+describe('countComments', () => {
+    it('counts lines with comments and those that would disappear', () => {
+        const lines = commentSegments(
+            treeOf('// a\nx(); // b\ny();', 'javascript'),
+        );
+        expect(countComments(lines)).toEqual({
+            commentLines: 2,
+            droppedLines: 1,
+        });
+    });
+});
@@ -0,0 +1,461 @@
+import { useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+import { cn, useDebouncedValue } from '@/lib/utils';
+import { useHighlightTree } from '../highlightWorker.js';
+import { resolveTokenStyle, treeToLines } from '../highlightTokens.js';
+import { DEFAULT_LINE_NUMBER_START, gutterDigits } from '../lineNumbering.js';
+import { lineSpecMatcher } from '../lineSelection.js';
+import {
+    findMatches,
+    indentUnit,
+    matchesBetween,
+    replaceMatches,
+    shiftLines,
+} from '../codeEditing.js';
+import { EDITOR_SHORTCUTS, matchShortcut } from '../keyboardShortcuts.js';
+import { FindReplaceBar } from './FindReplaceBar.jsx';
+
+/** Row height as a multiple of the font size. */
+const LINE_HEIGHT = 1.5;
+
+/** Space around the code, in CSS pixels. */
+const PADDING_PX = 8;
+
+/** Rows drawn beyond the visible ones, so fast scrolling shows no gaps. */
+const OVERSCAN_ROWS = 20;
+
+/** How long typing has to pause before the colours catch up. */
+const HIGHLIGHT_DELAY_MS = 150;
+
+const CSS_PX_PER_PT = 96 / 72;
+
+const MATCH_CLASSES = {
+    match: 'rounded-sm bg-yellow-300/50',
+    current: 'rounded-sm bg-orange-400/70',
+};
+
+/** Index of the line containing a character offset. */
+const lineAt = (lineStarts, offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+        const middle = (low + high + 1) >> 1;
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+    }
+    return low;
+};
+
+/** Splits a line's tokens where find matches start and end. */
+const markTokens = (tokens, ranges) => {
+    if (!ranges.length) return tokens;
+    const cuts = ranges.flatMap((range) => [range.start, range.end]);
+    let offset = 0;
+    return tokens.flatMap((token) => {
+        const start = offset;
+        const end = start + token.text.length;
+        offset = end;
+        const points = [
+            start,
+            ...cuts
+                .filter((cut) => cut > start && cut < end)
+                .sort((a, b) => a - b),
+            end,
+        ];
+        return points.slice(1).map((to, i) => {
+            const from = points[i];
+            const range = ranges.find(
+                (candidate) => from >= candidate.start && to <= candidate.end,
+            );
+            return {
+                ...token,
+                text: token.text.slice(from - start, to - start),
+                mark: range ? (range.current ? 'current' : 'match') : null,
+            };
+        });
+    });
+};
+
+/**
+ * A code editor: a textarea under a highlighted copy of its text, drawn with
+ * the printout's theme, plus a gutter numbered like the printout. Only the
+ * rows on screen are drawn, and highlighting runs in the worker, so files of
+ * any size stay responsive. The textarea keeps the caret, selection, scrolling
+ * and the browser's undo; Tab indentation and replacements go through
+ * `insertText` so they can be undone too.
+ */
+export const CodeEditor = ({
+    value,
+    onChange,
+    language,
+    theme,
+    font,
+    size,
+    tabWidth,
+    lineNumberStart = DEFAULT_LINE_NUMBER_START,
+    lineRange,
+    highlightLines,
+    placeholder,
+    className,
+}) => {
+    const textareaRef = useRef(null);
+    const findInputRef = useRef(null);
+    // Escape hands Tab back to the browser for one key press, so keyboard
+    // users can still leave the editor.
+    const tabMovesFocus = useRef(false);
+    const [viewport, setViewport] = useState({ top: 0, left: 0, height: 0 });
+    const [findOpen, setFindOpen] = useState(false);
+    const [query, setQuery] = useState('');
+    const [replacement, setReplacement] = useState('');
+    const [matchCase, setMatchCase] = useState(false);
+    const [current, setCurrent] = useState(0);
+
+    // Offsets must match the textarea's, which only ever has \n line breaks.
+    const code = useMemo(() => value.replace(/\r\n?/g, '\n'), [value]);
+    const highlightSource = useDebouncedValue(code, HIGHLIGHT_DELAY_MS);
+    const { tree } = useHighlightTree(highlightSource, language);
+    const tokenLines = useMemo(() => treeToLines(tree), [tree]);
+
+    const { lines, lineStarts } = useMemo(() => {
+        const lines = code.split('\n');
+        const lineStarts = [];
+        let offset = 0;
+        lines.forEach((line) => {
+            lineStarts.push(offset);
+            offset += line.length + 1;
+        });
+        return { lines, lineStarts };
+    }, [code]);
+
+    const matches = useMemo(
+        () => (findOpen ? findMatches(code, query, { matchCase }) : []),
+        [findOpen, code, query, matchCase],
+    );
+    const activeMatch = matches.length
+        ? Math.min(current, matches.length - 1)
+        : -1;
+
+    const isPrinted = useMemo(
+        () => lineSpecMatcher(lineRange, true),
+        [lineRange],
+    );
+    const isHighlighted = useMemo(
+        () => lineSpecMatcher(highlightLines, false),
+        [highlightLines],
+    );
+
+    const rowHeight = Math.round(size * CSS_PX_PER_PT * LINE_HEIGHT);
+    const textStyle = {
+        fontFamily: `"${font}", monospace`,
+        fontSize: `${size}pt`,
+        lineHeight: `${rowHeight}px`,
+        tabSize: tabWidth,
+        fontVariantLigatures: 'none',
+    };
+    const base = theme?.hljs || {};
+
+    const syncViewport = () => {
+        const textarea = textareaRef.current;
+        const next = {
+            top: textarea.scrollTop,
+            left: textarea.scrollLeft,
+            height: textarea.clientHeight,
+        };
+        setViewport((viewport) =>
+            viewport.top === next.top &&
+            viewport.left === next.left &&
+            viewport.height === next.height
+                ? viewport
+                : next,
+        );
+    };
+
+    useEffect(() => {
+        const observer = new ResizeObserver(syncViewport);
+        observer.observe(textareaRef.current);
+        return () => observer.disconnect();
+    }, []);
+
+    // The browser clamps the scroll position when the text shrinks, without
+    // always firing a scroll event.
+    useLayoutEffect(syncViewport, [code]);
+
+    const first = Math.max(
+        0,
+        Math.floor((viewport.top - PADDING_PX) / rowHeight) - OVERSCAN_ROWS,
+    );
+    const last = Math.min(
+        lines.length,
+        Math.ceil((viewport.top + viewport.height) / rowHeight) + OVERSCAN_ROWS,
+    );
+    const offsetY = PADDING_PX + first * rowHeight - viewport.top;
+
+    // Highlighting trails typing, so lines that changed since show plain
+    // until their colours arrive.
+    const rowTokens = (index) => {
+        const tokens = tokenLines[index];
+        const line = lines[index];
+        if (tokens && tokens.map((token) => token.text).join('') === line) {
+            return tokens;
+        }
+        return line ? [{ text: line, classNames: [] }] : [];
+    };
+
+    const rows = [];
+    const numbers = [];
+    for (let index = first; index < last; index++) {
+        const from = lineStarts[index];
+        const ranges = matchesBetween(
+            matches,
+            from,
+            from + lines[index].length,
+        ).map((match) => ({
+            start: matches[match].start - from,
+            end: matches[match].end - from,
+            current: match === activeMatch,
+        }));
+        rows.push(
+            <div key={index} style={{ height: rowHeight }}>
+                {markTokens(rowTokens(index), ranges).map((part, i) => (
+                    <span
+                        key={i}
+                        className={MATCH_CLASSES[part.mark]}
+                        style={resolveTokenStyle(theme, part.classNames)}
+                    >
+                        {part.text}
+                    </span>
+                ))}
+            </div>,
+        );
+        numbers.push(
+            <div
+                key={index}
+                className={cn(
+                    isPrinted(index + 1) ? '' : 'opacity-40',
+                    isHighlighted(index + 1) ? 'font-bold' : '',
+                )}
+                style={{ height: rowHeight }}
+            >
+                {index + lineNumberStart}
+            </div>,
+        );
+    }
+
+    /** Replaces a range of the text as one undoable edit. */
+    const replaceRange = (from, to, text) => {
+        const textarea = textareaRef.current;
+        textarea.focus();
+        textarea.setSelectionRange(from, to);
+        // insertText puts the edit on the browser's undo stack and fires
+        // the input event that reaches onChange.
+        const applied = text
+            ? document.execCommand('insertText', false, text)
+            : document.execCommand('delete');
+        if (!applied) {
+            textarea.setRangeText(text, from, to, 'end');
+            onChange(textarea.value);
+        }
+    };
+
+    const revealMatch = (match) => {
+        const textarea = textareaRef.current;
+        textarea.setSelectionRange(match.start, match.end);
+        const top = PADDING_PX + lineAt(lineStarts, match.start) * rowHeight;
+        if (
+            top < textarea.scrollTop ||
+            top + rowHeight > textarea.scrollTop + textarea.clientHeight
+        ) {
+            textarea.scrollTop = top - textarea.clientHeight / 2;
+        }
+    };
+
+    const goToMatch = (index) => {
+        if (!matches.length) return;
+        const next = (index + matches.length) % matches.length;
+        setCurrent(next);
+        revealMatch(matches[next]);
+    };
+
+    const handleQueryChange = (next) => {
+        setQuery(next);
+        // Start from the caret, like the browser's own find.
+        const found = findMatches(code, next, { matchCase });
+        const caret = textareaRef.current.selectionStart;
+        const index = Math.max(
+            0,
+            found.findIndex((match) => match.end > caret),
+        );
+        setCurrent(index);
+        if (found.length) revealMatch(found[index]);
+    };
+
+    const openFind = () => {
+        const textarea = textareaRef.current;
+        const selected = code.slice(
+            textarea.selectionStart,
+            textarea.selectionEnd,
+        );
+        if (selected && !selected.includes('\n')) setQuery(selected);
+        setFindOpen(true);
+        setTimeout(() => findInputRef.current?.select());
+    };
+
+    const closeFind = () => {
+        setFindOpen(false);
+        textareaRef.current.focus();
+    };
+
+    // Replacing moves focus to the textarea; give it back to the find bar.
+    const keepingFocus = (edit) => {
+        const focused = document.activeElement;
+        edit();
+        focused?.focus();
+    };
+
+    const handleReplace = () => {
+        if (activeMatch < 0) return;
+        const match = matches[activeMatch];
+        keepingFocus(() => replaceRange(match.start, match.end, replacement));
+    };
+
+    const handleReplaceAll = () => {
+        if (!matches.length) return;
+        const textarea = textareaRef.current;
+        const { scrollTop, scrollLeft } = textarea;
+        keepingFocus(() =>
+            replaceRange(
+                0,
+                code.length,
+                replaceMatches(
+                    code,
+                    findMatches(code, query, { matchCase, limit: Infinity }),
+                    replacement,
+                ),
+            ),
+        );
+        textarea.scrollTop = scrollTop;
+        textarea.scrollLeft = scrollLeft;
+    };
+
+    const handleKeyDown = (e) => {
+        if (matchShortcut(e, EDITOR_SHORTCUTS) === 'find') {
+            e.preventDefault();
+            openFind();
+            return;
+        }
+        if (e.key === 'Escape') {
+            if (findOpen) setFindOpen(false);
+            tabMovesFocus.current = true;
+            return;
+        }
+        const movesFocus = tabMovesFocus.current;
+        tabMovesFocus.current = false;
+        if (e.key !== 'Tab' || e.ctrlKey || e.metaKey || e.altKey) return;
+        if (movesFocus) return;
+        e.preventDefault();
+
+        const textarea = e.currentTarget;
+        const { selectionStart, selectionEnd } = textarea;
+        const unit = indentUnit(code, tabWidth);
+        if (!e.shiftKey && selectionStart === selectionEnd) {
+            replaceRange(selectionStart, selectionEnd, unit);
+            return;
+        }
+        const edit = shiftLines(code, selectionStart, selectionEnd, {
+            unit,
+            tabWidth,
+            outdent: e.shiftKey,
+        });
+        if (edit.text !== code.slice(edit.from, edit.to)) {
+            replaceRange(edit.from, edit.to, edit.text);
+        }
+        textarea.setSelectionRange(edit.selectionStart, edit.selectionEnd);
+    };
+
+    return (
+        <div
+            className={cn(
+                'border-input focus-within:ring-ring flex min-h-[80px] min-w-0 flex-col overflow-hidden rounded-md border focus-within:ring-1',
+                base.background || base.backgroundColor
+                    ? ''
+                    : 'bg-background text-foreground',
+                className,
+            )}
+            style={{
+                background: base.background || base.backgroundColor,
+                color: base.color,
+            }}
+        >
+            {findOpen ? (
+                <FindReplaceBar
+                    query={query}
+                    replacement={replacement}
+                    matchCase={matchCase}
+                    matchCount={matches.length}
+                    current={activeMatch}
+                    findInputRef={findInputRef}
+                    onQueryChange={handleQueryChange}
+                    onReplacementChange={setReplacement}
+                    onMatchCaseChange={setMatchCase}
+                    onNext={() => goToMatch(activeMatch + 1)}
+                    onPrevious={() => goToMatch(activeMatch - 1)}
+                    onReplace={handleReplace}
+                    onReplaceAll={handleReplaceAll}
+                    onClose={closeFind}
+                ></FindReplaceBar>
+            ) : null}
+            <div className="flex min-h-0 grow">
+                <div
+                    aria-hidden="true"
+                    className="shrink-0 overflow-hidden border-r px-2 text-right opacity-60 select-none"
+                    style={{
+                        ...textStyle,
+                        minWidth: `${gutterDigits(lines.length, lineNumberStart) + 2}ch`,
+                    }}
+                >
+                    <div style={{ transform: `translateY(${offsetY}px)` }}>
+                        {numbers}
+                    </div>
+                </div>
+                <div className="relative min-w-0 grow">
+                    <div
+                        aria-hidden="true"
+                        className="pointer-events-none absolute inset-0 overflow-hidden whitespace-pre"
+                        style={textStyle}
+                    >
+                        <div
+                            style={{
+                                padding: `0 ${PADDING_PX}px`,
+                                transform: `translate(${-viewport.left}px, ${offsetY}px)`,
+                            }}
+                        >
+                            {rows}
+                        </div>
+                    </div>
+                    <textarea
+                        ref={textareaRef}
+                        className="placeholder:text-muted-foreground absolute inset-0 h-full w-full resize-none bg-transparent whitespace-pre outline-none"
+                        style={{
+                            ...textStyle,
+                            padding: PADDING_PX,
+                            color: 'transparent',
+                            caretColor: base.color || 'hsl(var(--foreground))',
+                        }}
+                        wrap="off"
+                        spellCheck={false}
+                        autoCapitalize="off"
+                        autoComplete="off"
+                        aria-label={placeholder}
+                        placeholder={placeholder}
+                        value={value}
+                        onChange={(e) => onChange(e.currentTarget.value)}
+                        onKeyDown={handleKeyDown}
+                        onScroll={syncViewport}
+                    ></textarea>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CodeEditor;
@@ -0,0 +1,52 @@
+import {
+    CommandDialog,
+    CommandEmpty,
+    CommandGroup,
+    CommandInput,
+    CommandItem,
+    CommandList,
+    CommandShortcut,
+} from '@/components/ui/command';
+
+import { SHORTCUTS, formatShortcut } from '../keyboardShortcuts.js';
+
+/**
+ * Ctrl/Cmd+K palette. Each group holds commands of the form
+ * `{id, label, shortcut?, run}`, searched by label; the palette closes
+ * after running one.
+ */
+export const CommandPalette = ({ open, onOpenChange, groups }) => (
+    <CommandDialog open={open} onOpenChange={onOpenChange}>
+        <CommandInput placeholder="Type a command or search..." />
+        <CommandList>
+            <CommandEmpty>No matching commands.</CommandEmpty>
+            {groups.map(({ heading, commands }) => (
+                <CommandGroup key={heading} heading={heading}>
+                    {commands.map((command) => (
+                        <CommandItem
+                            key={command.id}
+                            value={command.label}
+                            onSelect={() => {
+                                onOpenChange(false);
+                                // Run once the dialog has gone, so it is not
+                                // caught in a printout.
+                                setTimeout(command.run);
+                            }}
+                        >
+                            {command.label}
+                            {command.shortcut ? (
+                                <CommandShortcut>
+                                    {formatShortcut(
+                                        SHORTCUTS[command.shortcut].keys,
+                                    )}
+                                </CommandShortcut>
+                            ) : null}
+                        </CommandItem>
+                    ))}
+                </CommandGroup>
+            ))}
+        </CommandList>
+    </CommandDialog>
+);
+
+export default CommandPalette;
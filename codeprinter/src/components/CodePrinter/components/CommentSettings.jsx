@@ -0,0 +1,107 @@
+import { useMemo } from 'react';
+
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+
+import {
+    commentSegments,
+    commentSource,
+    countComments,
+} from '../commentStripping.js';
+import { useHighlightTree } from '../highlightWorker.js';
+
+/** Lines of the active file that contain comments, removed parts struck out. */
+const RemovalLines = ({ lines, font }) => (
+    <pre
+        className="max-h-64 overflow-auto rounded-sm border p-2 text-xs"
+        style={{ fontFamily: `"${font}", monospace` }}
+    >
+        {lines.map((segments, index) =>
+            segments.some((segment) => segment.comment) ? (
+                <div key={index}>
+                    <span className="text-muted-foreground mr-2 inline-block w-8 text-right select-none">
+                        {index + 1}
+                    </span>
+                    {segments.map((segment, i) =>
+                        segment.comment ? (
+                            <del key={i} className="bg-red-100 text-red-700">
+                                {segment.text}
+                            </del>
+                        ) : (
+                            <span key={i}>{segment.text}</span>
+                        ),
+                    )}
+                </div>
+            ) : null,
+        )}
+    </pre>
+);
+
+/** Highlighted, in the worker, only while the popover is open. */
+const RemovalPreview = ({ code, language, font }) => {
+    const { tree } = useHighlightTree(commentSource(code || ''), language);
+    const lines = useMemo(() => commentSegments(tree), [tree]);
+    const { commentLines, droppedLines } = countComments(lines);
+
+    if (!commentLines) {
+        return (
+            <p className="text-muted-foreground text-sm">
+                No comments found in this file.
+            </p>
+        );
+    }
+    return (
+        <>
+            <p className="text-sm">
+                {commentLines} line(s) of this file have comments;{' '}
+                {droppedLines} would be left out entirely.
+            </p>
+            <RemovalLines lines={lines} font={font} />
+        </>
+    );
+};
+
+export const CommentSettings = ({
+    stripComments,
+    previewCode,
+    previewLanguage,
+    font,
+    onStripCommentsChange,
+}) => (
+    <Popover>
+        <PopoverTrigger asChild>
+            <Button variant="outline">
+                {stripComments ? 'Comments: removed' : 'Comments'}
+            </Button>
+        </PopoverTrigger>
+        <PopoverContent className="flex w-[32rem] flex-col gap-3">
+            <label className="block text-sm">
+                <Checkbox
+                    className="align-middle"
+                    checked={stripComments}
+                    onCheckedChange={(checked) =>
+                        onStripCommentsChange(checked === true)
+                    }
+                />
+                &nbsp;Remove comments when printing
+            </label>
+            <RemovalPreview
+                code={previewCode}
+                language={previewLanguage}
+                font={font}
+            />
+            <p className="text-muted-foreground text-xs">
+                Comments are found by the syntax highlighter, so pick the right
+                language. Printed lines keep their numbers from the editor, so
+                removed lines leave a gap in the numbering.
+            </p>
+        </PopoverContent>
+    </Popover>
+);
+
+export default CommentSettings;
@@ -0,0 +1,42 @@
+import { cn } from '@/lib/utils';
+
+import { CONTENTS_TITLE, contentsEntries } from '../tableOfContents.js';
+
+/**
+ * File index printed before the files. Browsers do not expose page numbers
+ * to the page, so these only appear in PDF export.
+ */
+export const ContentsPage = ({ files, font, size, theme, className }) => (
+    <section
+        className={cn('break-after-page px-2', className)}
+        style={{
+            fontFamily: `"${font}", monospace`,
+            fontSize: `${size}pt`,
+            color: theme?.hljs?.color,
+        }}
+    >
+        <h2
+            className="mb-2 border-b pb-1 font-semibold"
+            style={{ fontSize: `${size + 4}pt` }}
+        >
+            {CONTENTS_TITLE}
+        </h2>
+        <table className="w-full">
+            <tbody>
+                {contentsEntries(files).map((entry) => (
+                    <tr key={entry.number}>
+                        <td className="pr-2 text-right align-top">
+                            {entry.number}.
+                        </td>
+                        <td className="w-full break-all">{entry.name}</td>
+                        <td className="pl-4 text-right whitespace-nowrap">
+                            {entry.lines} lines
+                        </td>
+                    </tr>
+                ))}
+            </tbody>
+        </table>
+    </section>
+);
+
+export default ContentsPage;
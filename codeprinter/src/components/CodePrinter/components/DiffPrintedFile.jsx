@@ -0,0 +1,262 @@
+import { useMemo } from 'react';
+
+import { cn } from '@/lib/utils';
+import { diffLines, pairDiffLines } from '../lineDiff.js';
+import { tokenizeLines, resolveTokenStyle } from '../highlightTokens.js';
+import { DEFAULT_LINE_NUMBER_START, gutterDigits } from '../lineNumbering.js';
+import { sourceLineNumber } from '../lineSelection.js';
+import { DEFAULT_WHITESPACE, splitWhitespace } from '../whitespace.js';
+import { DEFAULT_TYPOGRAPHY, typographyStyle } from '../typography.js';
+
+import '../diff.css';
+
+const DIFF_MARKERS = { same: ' ', added: '+', removed: '-' };
+
+const DIFF_ROW_CLASSES = {
+    same: '',
+    added: 'diffAdded',
+    removed: 'diffRemoved',
+};
+
+/** Tokenises a whole version at once so multi-line constructs highlight. */
+const highlightVersion = (code, language) =>
+    tokenizeLines((code || '').replace(/\r\n?/g, '\n'), language);
+
+const WHITESPACE_CLASSES = { space: 'wsSpace', tab: 'wsTab' };
+
+const MarkedText = ({ text }) =>
+    splitWhitespace(text).map((part, index) =>
+        part.whitespace ? (
+            <span key={index} className={WHITESPACE_CLASSES[part.whitespace]}>
+                {part.text}
+            </span>
+        ) : (
+            part.text
+        ),
+    );
+
+const CodeTokens = ({ tokens, theme, showWhitespace }) =>
+    (tokens || []).map((token, index) => {
+        const { color, fontWeight, fontStyle, textDecoration } =
+            resolveTokenStyle(theme, token.classNames);
+        return (
+            <span
+                key={index}
+                style={{ color, fontWeight, fontStyle, textDecoration }}
+            >
+                {showWhitespace ? <MarkedText text={token.text} /> : token.text}
+            </span>
+        );
+    });
+
+const LineNumber = ({ value }) => (
+    <span className="diffNumber">{value ?? ''}</span>
+);
+
+/**
+ * Numbers the lines of one printed version as the normal printout does: by
+ * their line in the code as written, counted from `lineNumberStart`.
+ * @param {number[]} [sourceLines]
+ * @param {number} lineNumberStart
+ * @returns {(number: number|null) => number|null} takes a 1-based printed line
+ */
+const versionNumbering = (sourceLines, lineNumberStart) => (number) =>
+    number == null
+        ? null
+        : sourceLineNumber({ sourceLines }, number - 1) + lineNumberStart - 1;
+
+const UnifiedDiff = ({
+    diff,
+    oldLines,
+    newLines,
+    numberOld,
+    numberNew,
+    theme,
+    showLineNumbers,
+    showWhitespace,
+}) =>
+    diff.map((line, index) => (
+        <div key={index} className={cn('diffRow', DIFF_ROW_CLASSES[line.type])}>
+            {showLineNumbers ? (
+                <>
+                    <LineNumber value={numberOld(line.oldNumber)} />
+                    <LineNumber value={numberNew(line.newNumber)} />
+                </>
+            ) : null}
+            <span className="diffMarker">{DIFF_MARKERS[line.type]}</span>
+            <span className="diffCode">
+                <CodeTokens
+                    tokens={
+                        line.type === 'removed'
+                            ? oldLines[line.oldNumber - 1]
+                            : newLines[line.newNumber - 1]
+                    }
+                    theme={theme}
+                    showWhitespace={showWhitespace}
+                />
+            </span>
+        </div>
+    ));
+
+const DiffSide = ({
+    line,
+    number,
+    lines,
+    numbering,
+    theme,
+    showLineNumbers,
+    showWhitespace,
+}) => (
+    <div
+        className={cn(
+            'diffRow grow basis-0',
+            line ? DIFF_ROW_CLASSES[line.type] : 'diffFiller',
+        )}
+    >
+        {showLineNumbers ? (
+            <LineNumber value={line ? numbering(number) : null} />
+        ) : null}
+        <span className="diffMarker">
+            {line ? DIFF_MARKERS[line.type] : ''}
+        </span>
+        <span className="diffCode">
+            {line ? (
+                <CodeTokens
+                    tokens={lines[number - 1]}
+                    theme={theme}
+                    showWhitespace={showWhitespace}
+                />
+            ) : null}
+        </span>
+    </div>
+);
+
+const SplitDiff = ({
+    diff,
+    oldLines,
+    newLines,
+    numberOld,
+    numberNew,
+    theme,
+    showLineNumbers,
+    showWhitespace,
+}) =>
+    pairDiffLines(diff).map(({ left, right }, index) => (
+        <div key={index} className="flex gap-2">
+            <DiffSide
+                line={left}
+                number={left?.oldNumber}
+                lines={oldLines}
+                numbering={numberOld}
+                theme={theme}
+                showLineNumbers={showLineNumbers}
+                showWhitespace={showWhitespace}
+            />
+            <DiffSide
+                line={right}
+                number={right?.newNumber}
+                lines={newLines}
+                numbering={numberNew}
+                theme={theme}
+                showLineNumbers={showLineNumbers}
+                showWhitespace={showWhitespace}
+            />
+        </div>
+    ));
+
+/**
+ * Prints the changes between a file's previous and current code, either as
+ * one unified listing or with the two versions side by side. Each version is
+ * numbered like the normal printout, through its `sourceLines`.
+ */
+export const DiffPrintedFile = ({
+    file,
+    language,
+    view,
+    showHeader,
+    pageName,
+    font,
+    size,
+    theme,
+    showLineNumbers,
+    lineNumberStart = DEFAULT_LINE_NUMBER_START,
+    tabWidth = DEFAULT_WHITESPACE.tabWidth,
+    showWhitespace = false,
+    typography = DEFAULT_TYPOGRAPHY,
+    className,
+}) => {
+    const diff = useMemo(
+        () => diffLines(file.previousCode, file.code),
+        [file.previousCode, file.code],
+    );
+    const oldLines = useMemo(
+        () => highlightVersion(file.previousCode, language),
+        [file.previousCode, language],
+    );
+    const newLines = useMemo(
+        () => highlightVersion(file.code, language),
+        [file.code, language],
+    );
+    const numberOld = versionNumbering(
+        file.previousSourceLines,
+        lineNumberStart,
+    );
+    const numberNew = versionNumbering(file.sourceLines, lineNumberStart);
+    const Listing = view === 'side-by-side' ? SplitDiff : UnifiedDiff;
+
+    return (
+        <section
+            className={cn('printFile flex flex-col', className)}
+            style={{
+                page: pageName,
+                '--line-number-digits': gutterDigits(
+                    Math.max(
+                        sourceLineNumber(
+                            { sourceLines: file.previousSourceLines },
+                            oldLines.length - 1,
+                        ),
+                        sourceLineNumber(file, newLines.length - 1),
+                    ),
+                    lineNumberStart,
+                ),
+                '--line-height': typography.lineHeight,
+            }}
+        >
+            {showHeader ? (
+                <h2
+                    className="border-b px-2 pb-1 font-semibold"
+                    style={{
+                        fontFamily: `"${font}", monospace`,
+                        fontSize: `${size + 2}pt`,
+                    }}
+                >
+                    {file.name}
+                </h2>
+            ) : null}
+            <div
+                className="p-2"
+                style={{
+                    background: theme?.hljs?.background,
+                    color: theme?.hljs?.color,
+                    fontFamily: `"${font}", monospace`,
+                    fontSize: `${size}pt`,
+                    ...typographyStyle(typography),
+                    tabSize: tabWidth,
+                }}
+            >
+                <Listing
+                    diff={diff}
+                    oldLines={oldLines}
+                    newLines={newLines}
+                    numberOld={numberOld}
+                    numberNew={numberNew}
+                    theme={theme}
+                    showLineNumbers={showLineNumbers}
+                    showWhitespace={showWhitespace}
+                />
+            </div>
+        </section>
+    );
+};
+
+export default DiffPrintedFile;
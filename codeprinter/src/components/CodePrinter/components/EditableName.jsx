@@ -0,0 +1,40 @@
+import { useState } from 'react';
+
+/** A name that turns into a text field when double-clicked. */
+export const EditableName = ({ name, onRename }) => {
+    const [editing, setEditing] = useState(false);
+
+    const finishEditing = (value) => {
+        setEditing(false);
+        const trimmed = value.trim();
+        if (trimmed && trimmed !== name && onRename) onRename(trimmed);
+    };
+
+    if (editing) {
+        return (
+            <input
+                className="bg-background w-full min-w-0 rounded-sm border px-1"
+                defaultValue={name}
+                autoFocus
+                onClick={(e) => e.stopPropagation()}
+                onBlur={(e) => finishEditing(e.currentTarget.value)}
+                onKeyDown={(e) => {
+                    if (e.key === 'Enter') finishEditing(e.currentTarget.value);
+                    if (e.key === 'Escape') setEditing(false);
+                }}
+            />
+        );
+    }
+
+    return (
+        <span
+            className="min-w-0 grow truncate"
+            title="Double-click to rename"
+            onDoubleClick={() => setEditing(true)}
+        >
+            {name}
+        </span>
+    );
+};
+
+export default EditableName;
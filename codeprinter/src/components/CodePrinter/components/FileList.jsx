@@ -0,0 +1,196 @@
+import { useRef } from 'react';
+import {
+    ArrowDown,
+    ArrowUp,
+    FileArchive,
+    FilePlus,
+    FileUp,
+    FolderUp,
+    X,
+} from 'lucide-react';
+
+import { cn } from '@/lib/utils';
+import { Button } from '@/components/ui/button';
+import { EditableName } from './EditableName.jsx';
+
+import { startsSubmission } from '../submissions.js';
+
+export const FileList = ({
+    files,
+    activeFileId,
+    onSelect,
+    onAdd,
+    onRename,
+    onRemove,
+    onMove,
+    onOpen,
+    onOpenArchive,
+    includeGlobs,
+    excludeGlobs,
+    onIncludeGlobsChange,
+    onExcludeGlobsChange,
+}) => {
+    const fileInputRef = useRef(null);
+    const folderInputRef = useRef(null);
+    const archiveInputRef = useRef(null);
+
+    const handlePicked = (e) => {
+        const picked = Array.from(e.currentTarget.files);
+        e.currentTarget.value = '';
+        if (picked.length && onOpen) onOpen(picked);
+    };
+
+    const handleArchivePicked = (e) => {
+        const [archive] = e.currentTarget.files;
+        e.currentTarget.value = '';
+        if (archive && onOpenArchive) onOpenArchive(archive);
+    };
+
+    return (
+        <aside className="flex w-56 shrink-0 flex-col gap-2 border-r p-3 print:hidden">
+            <div className="flex items-center justify-between gap-1">
+                <span className="grow text-sm font-medium">Files</span>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={onAdd}
+                    title="New file"
+                >
+                    <FilePlus />
+                </Button>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => fileInputRef.current.click()}
+                    title="Open files"
+                >
+                    <FileUp />
+                </Button>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => folderInputRef.current.click()}
+                    title="Open folder"
+                >
+                    <FolderUp />
+                </Button>
+                <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => archiveInputRef.current.click()}
+                    title="Open submissions zip (one folder per student)"
+                >
+                    <FileArchive />
+                </Button>
+                <input
+                    ref={fileInputRef}
+                    type="file"
+                    multiple
+                    hidden
+                    onChange={handlePicked}
+                />
+                <input
+                    ref={folderInputRef}
+                    type="file"
+                    webkitdirectory=""
+                    hidden
+                    onChange={handlePicked}
+                />
+                <input
+                    ref={archiveInputRef}
+                    type="file"
+                    accept=".zip,application/zip"
+                    hidden
+                    onChange={handleArchivePicked}
+                />
+            </div>
+            <ol className="flex flex-col gap-1 overflow-y-auto text-sm">
+                {files.map((file, index) => [
+                    startsSubmission(files, index) ? (
+                        <li
+                            key={`student-${file.id}`}
+                            className="text-muted-foreground mt-1 truncate px-2 text-xs font-medium"
+                        >
+                            {file.student}
+                        </li>
+                    ) : null,
+                    <li
+                        key={file.id}
+                        className={cn(
+                            'hover:bg-muted flex cursor-pointer items-center gap-1 rounded-md px-2 py-1',
+                            file.id === activeFileId ? 'bg-accent' : '',
+                        )}
+                        onClick={() => onSelect(file.id)}
+                    >
+                        <EditableName
+                            name={file.name}
+                            onRename={(name) => onRename(file.id, name)}
+                        />
+                        <button
+                            className="opacity-60 hover:opacity-100 disabled:opacity-20"
+                            title="Move up"
+                            disabled={index === 0}
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onMove(file.id, -1);
+                            }}
+                        >
+                            <ArrowUp className="size-3" />
+                        </button>
+                        <button
+                            className="opacity-60 hover:opacity-100 disabled:opacity-20"
+                            title="Move down"
+                            disabled={index === files.length - 1}
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onMove(file.id, 1);
+                            }}
+                        >
+                            <ArrowDown className="size-3" />
+                        </button>
+                        <button
+                            className="opacity-60 hover:opacity-100 disabled:opacity-20"
+                            title="Remove file"
+                            disabled={files.length === 1}
+                            onClick={(e) => {
+                                e.stopPropagation();
+                                onRemove(file.id);
+                            }}
+                        >
+                            <X className="size-3" />
+                        </button>
+                    </li>,
+                ])}
+            </ol>
+            <details className="mt-auto text-sm">
+                <summary className="cursor-pointer">Folder filters</summary>
+                <label className="mt-2 block">
+                    Include
+                    <input
+                        className="bg-background block w-full rounded-sm border px-1"
+                        placeholder="e.g. *.java, src/**"
+                        value={includeGlobs}
+                        onChange={(e) =>
+                            onIncludeGlobsChange(e.currentTarget.value)
+                        }
+                    />
+                </label>
+                <label className="mt-2 block">
+                    Exclude
+                    <input
+                        className="bg-background block w-full rounded-sm border px-1"
+                        value={excludeGlobs}
+                        onChange={(e) =>
+                            onExcludeGlobsChange(e.currentTarget.value)
+                        }
+                    />
+                </label>
+                <p className="text-muted-foreground mt-2 text-xs">
+                    Drop files or folders anywhere on the page to open them.
+                </p>
+            </details>
+        </aside>
+    );
+};
+
+export default FileList;
@@ -0,0 +1,96 @@
+import { cn } from '@/lib/utils';
+import { Button } from '@/components/ui/button';
+
+import { isValidLineSpec } from '../lineSelection.js';
+import { canFormat } from '../codeFormatting.js';
+import { NotesEditor } from './NotesEditor.jsx';
+
+const LineSpecInput = ({ label, value, placeholder, onChange }) => (
+    <label className="flex items-center gap-2">
+        {label}
+        <input
+            className={cn(
+                'bg-background w-32 rounded-sm border px-2 py-1',
+                isValidLineSpec(value) ? '' : 'border-red-600',
+            )}
+            value={value}
+            placeholder={placeholder}
+            title="Line numbers and ranges, e.g. 3,7-9 or 40-80"
+            onChange={(e) => onChange(e.currentTarget.value)}
+        />
+    </label>
+);
+
+export const FileOptions = ({
+    file,
+    language,
+    fileCount,
+    notePlacement,
+    onChange,
+    onFormat,
+    onFormatAll,
+    onRestoreOriginal,
+    onNotePlacementChange,
+}) => {
+    const formattable = canFormat(language, file.code);
+
+    return (
+        <div className="flex flex-col gap-2 pb-3 print:hidden">
+            <div className="flex flex-wrap items-center gap-4 text-sm">
+                <LineSpecInput
+                    label="Print lines"
+                    value={file.lineRange}
+                    placeholder="all"
+                    onChange={(lineRange) => onChange({ lineRange })}
+                />
+                <LineSpecInput
+                    label="Highlight lines"
+                    value={file.highlightLines}
+                    placeholder="e.g. 3,7-9"
+                    onChange={(highlightLines) => onChange({ highlightLines })}
+                />
+                <Button
+                    variant="outline"
+                    size="sm"
+                    disabled={!formattable}
+                    title={
+                        formattable
+                            ? 'Re-indent this file'
+                            : `Formatting ${language} is not supported`
+                    }
+                    onClick={onFormat}
+                >
+                    Format
+                </Button>
+                {fileCount > 1 ? (
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        title="Re-indent every file in a supported language"
+                        onClick={onFormatAll}
+                    >
+                        Format all
+                    </Button>
+                ) : null}
+                {file.originalCode ? (
+                    <Button
+                        variant="outline"
+                        size="sm"
+                        title="Undo formatting, discarding edits made since"
+                        onClick={onRestoreOriginal}
+                    >
+                        Restore original
+                    </Button>
+                ) : null}
+            </div>
+            <NotesEditor
+                notes={file.notes}
+                placement={notePlacement}
+                onChange={(notes) => onChange({ notes })}
+                onPlacementChange={onNotePlacementChange}
+            />
+        </div>
+    );
+};
+
+export default FileOptions;
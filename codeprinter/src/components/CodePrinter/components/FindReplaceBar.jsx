@@ -0,0 +1,124 @@
+import { ChevronDown, ChevronUp, X } from 'lucide-react';
+
+import { Button } from '@/components/ui/button';
+import { MAX_MATCHES } from '../codeEditing.js';
+
+const INPUT_CLASSES = 'bg-background w-40 min-w-0 rounded-sm border px-2 py-1';
+
+/**
+ * Find and replace controls for the code editor. Enter finds the next match
+ * and Shift+Enter the previous one; Escape closes the bar. Past MAX_MATCHES
+ * the count shows a `+`, though Replace all still replaces every match.
+ */
+export const FindReplaceBar = ({
+    query,
+    replacement,
+    matchCase,
+    matchCount,
+    current,
+    findInputRef,
+    onQueryChange,
+    onReplacementChange,
+    onMatchCaseChange,
+    onNext,
+    onPrevious,
+    onReplace,
+    onReplaceAll,
+    onClose,
+}) => {
+    const handleKeyDown = (e, onEnter) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            onClose();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            onEnter(e);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 border-b p-1 text-sm">
+            <input
+                ref={findInputRef}
+                className={INPUT_CLASSES}
+                value={query}
+                placeholder="Find"
+                aria-label="Find"
+                onChange={(e) => onQueryChange(e.currentTarget.value)}
+                onKeyDown={(e) =>
+                    handleKeyDown(e, () =>
+                        e.shiftKey ? onPrevious() : onNext(),
+                    )
+                }
+            />
+            <span className="w-24 text-xs opacity-70" aria-live="polite">
+                {query
+                    ? matchCount
+                        ? `${current + 1} of ${matchCount}${matchCount >= MAX_MATCHES ? '+' : ''}`
+                        : 'No results'
+                    : ''}
+            </span>
+            <Button
+                variant="ghost"
+                size="sm"
+                title="Previous match (Shift+Enter)"
+                disabled={!matchCount}
+                onClick={onPrevious}
+            >
+                <ChevronUp />
+            </Button>
+            <Button
+                variant="ghost"
+                size="sm"
+                title="Next match (Enter)"
+                disabled={!matchCount}
+                onClick={onNext}
+            >
+                <ChevronDown />
+            </Button>
+            <label className="flex items-center gap-1">
+                <input
+                    type="checkbox"
+                    checked={matchCase}
+                    onChange={(e) => onMatchCaseChange(e.currentTarget.checked)}
+                />
+                Match case
+            </label>
+            <input
+                className={INPUT_CLASSES}
+                value={replacement}
+                placeholder="Replace"
+                aria-label="Replace"
+                onChange={(e) => onReplacementChange(e.currentTarget.value)}
+                onKeyDown={(e) => handleKeyDown(e, onReplace)}
+            />
+            <Button
+                variant="outline"
+                size="sm"
+                disabled={!matchCount}
+                onClick={onReplace}
+            >
+                Replace
+            </Button>
+            <Button
+                variant="outline"
+                size="sm"
+                disabled={!matchCount}
+                onClick={onReplaceAll}
+            >
+                Replace all
+            </Button>
+            <Button
+                variant="ghost"
+                size="sm"
+                className="ml-auto"
+                title="Close (Escape)"
+                onClick={onClose}
+            >
+                <X />
+            </Button>
+        </div>
+    );
+};
+
+export default FindReplaceBar;
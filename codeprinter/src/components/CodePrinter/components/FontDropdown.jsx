@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useEffect, useRef, useState } from 'react';
+import { CircleAlert, CircleCheck, LoaderCircle, X } from 'lucide-react';
 import {
     DropdownMenu,
     DropdownMenuContent,
@@ -9,35 +10,167 @@ import {
 } from '@/components/ui/dropdown-menu';
 
 import { Button } from '@/components/ui/button';
+import { FONT_FILE_TYPES } from '../fontFiles.js';
 
-export const FontDropdown = ({ defaultFont, fontList, onChange }) => {
+const STATUS_ICONS = {
+    loading: {
+        Icon: LoaderCircle,
+        className: 'animate-spin opacity-50',
+        title: 'Loading…',
+    },
+    loaded: {
+        Icon: CircleCheck,
+        className: 'text-green-600',
+        title: 'Loaded and ready to print',
+    },
+    missing: {
+        Icon: CircleAlert,
+        className: 'text-red-600',
+        title: 'Not available; a fallback font will be printed',
+    },
+};
+
+/**
+ * Loads each font and tracks whether it is ready, so a fallback is never
+ * printed by surprise.
+ * @param {string[]} fonts
+ * @returns {Record<string, 'loading'|'loaded'|'missing'>}
+ */
+const useFontStatus = (fonts) => {
+    const [status, setStatus] = useState({});
+    const key = fonts.join('\n');
+
+    useEffect(() => {
+        let cancelled = false;
+        fonts.forEach((font) => {
+            document.fonts
+                .load(`1em "${font}"`)
+                .then(
+                    (faces) => (faces.length ? 'loaded' : 'missing'),
+                    () => 'missing',
+                )
+                .then((fontStatus) => {
+                    if (cancelled) return;
+                    setStatus((current) =>
+                        current[font] === fontStatus
+                            ? current
+                            : { ...current, [font]: fontStatus },
+                    );
+                });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [key]);
+
+    return status;
+};
+
+const FontStatus = ({ status = 'loading' }) => {
+    const { Icon, className, title } = STATUS_ICONS[status];
+    return (
+        <Icon
+            className={`ml-auto size-4 shrink-0 ${className}`}
+            aria-label={title}
+        >
+            <title>{title}</title>
+        </Icon>
+    );
+};
+
+export const FontDropdown = ({
+    defaultFont,
+    fontList,
+    customFonts = [],
+    onChange,
+    onLoadFontFile,
+    onRemoveFont,
+}) => {
     const [font, setFont] = useState(defaultFont ? defaultFont : 'Inconsolata');
+    const fileInput = useRef(null);
+    const status = useFontStatus([...fontList, ...customFonts]);
+
+    useEffect(() => {
+        if (defaultFont) setFont(defaultFont);
+    }, [defaultFont]);
 
     const handleChange = (font) => {
         setFont(font);
         if (onChange) onChange(font);
     };
 
+    const handleFilePicked = (e) => {
+        const [file] = e.currentTarget.files;
+        e.currentTarget.value = '';
+        if (file && onLoadFontFile) onLoadFontFile(file);
+    };
+
     return (
-        <DropdownMenu>
-            <DropdownMenuTrigger asChild>
-                <Button variant="outline">
-                    <div style={{ textAlign: 'center' }}>
-                        Font: <span style={{ fontFamily: font }}>{font}</span>
-                    </div>
-                </Button>
-            </DropdownMenuTrigger>
-            <DropdownMenuContent>
-                {fontList.map((item, index) => (
+        <>
+            <DropdownMenu>
+                <DropdownMenuTrigger asChild>
+                    <Button variant="outline">
+                        <div style={{ textAlign: 'center' }}>
+                            Font:{' '}
+                            <span style={{ fontFamily: font }}>{font}</span>
+                        </div>
+                        <FontStatus status={status[font]} />
+                    </Button>
+                </DropdownMenuTrigger>
+                <DropdownMenuContent className="max-h-96 overflow-y-auto">
+                    {fontList.map((item) => (
+                        <DropdownMenuItem
+                            key={item}
+                            onClick={() => handleChange(item)}
+                        >
+                            <span style={{ fontFamily: item }}>{item}</span>
+                            <FontStatus status={status[item]} />
+                        </DropdownMenuItem>
+                    ))}
+                    {customFonts.length ? (
+                        <>
+                            <DropdownMenuSeparator />
+                            <DropdownMenuLabel>From files</DropdownMenuLabel>
+                            {customFonts.map((item) => (
+                                <DropdownMenuItem
+                                    key={item}
+                                    onClick={() => handleChange(item)}
+                                >
+                                    <span style={{ fontFamily: item }}>
+                                        {item}
+                                    </span>
+                                    <FontStatus status={status[item]} />
+                                    <button
+                                        className="opacity-50 hover:opacity-100"
+                                        title={`Remove ${item}`}
+                                        onClick={(e) => {
+                                            e.stopPropagation();
+                                            onRemoveFont(item);
+                                        }}
+                                    >
+                                        <X className="size-4" />
+                                    </button>
+                                </DropdownMenuItem>
+                            ))}
+                        </>
+                    ) : null}
+                    <DropdownMenuSeparator />
                     <DropdownMenuItem
-                        key={item}
-                        onClick={() => handleChange(item)}
+                        title="Add a .ttf or .woff2 font; it is remembered in this browser"
+                        onClick={() => fileInput.current.click()}
                     >
-                        <span style={{ fontFamily: item }}>{item}</span>
+                        Load font file…
                     </DropdownMenuItem>
-                ))}
-            </DropdownMenuContent>
-        </DropdownMenu>
+                </DropdownMenuContent>
+            </DropdownMenu>
+            <input
+                ref={fileInput}
+                type="file"
+                accept={FONT_FILE_TYPES.join(',')}
+                className="hidden"
+                onChange={handleFilePicked}
+            />
+        </>
     );
 };
 
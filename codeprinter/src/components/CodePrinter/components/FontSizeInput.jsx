@@ -0,0 +1,58 @@
+import { useEffect, useState } from 'react';
+
+import { FONT_SIZE_RANGE, normalizeFontSize } from '../typography.js';
+
+/**
+ * Point size field with half-point steps; the preset sizes are offered as
+ * suggestions. Typing is kept as a draft and only applied once it is a
+ * size in range, so clearing the field to retype does not jump to the
+ * minimum.
+ */
+export const FontSizeInput = ({ size, presets, onChange }) => {
+    const [draft, setDraft] = useState(String(size));
+
+    useEffect(() => {
+        setDraft(String(size));
+    }, [size]);
+
+    const handleChange = (value) => {
+        setDraft(value);
+        const normalized = normalizeFontSize(value);
+        if (normalized !== null && normalized === Number(value)) {
+            onChange(normalized);
+        }
+    };
+
+    return (
+        <label className="flex items-center gap-2 text-sm">
+            Size
+            <input
+                type="number"
+                className="bg-background w-20 rounded-sm border px-2 py-1"
+                min={FONT_SIZE_RANGE.min}
+                max={FONT_SIZE_RANGE.max}
+                step={FONT_SIZE_RANGE.step}
+                list="font-size-presets"
+                value={draft}
+                onChange={(e) => handleChange(e.currentTarget.value)}
+                onBlur={() => {
+                    const normalized = normalizeFontSize(draft);
+                    if (normalized === null) {
+                        setDraft(String(size));
+                    } else {
+                        setDraft(String(normalized));
+                        if (normalized !== size) onChange(normalized);
+                    }
+                }}
+            />
+            pt
+            <datalist id="font-size-presets">
+                {presets.map((preset) => (
+                    <option key={preset} value={preset} />
+                ))}
+            </datalist>
+        </label>
+    );
+};
+
+export default FontSizeInput;
@@ -0,0 +1,64 @@
+import { Button } from '@/components/ui/button';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+
+import { TEMPLATE_TOKENS } from '../pageTemplates.js';
+
+const TextSetting = ({ label, value, placeholder, onChange }) => (
+    <label className="block text-sm">
+        {label}
+        <input
+            className="bg-background block w-full rounded-sm border px-2 py-1"
+            value={value}
+            placeholder={placeholder}
+            onChange={(e) => onChange(e.currentTarget.value)}
+        />
+    </label>
+);
+
+export const HeaderFooterSettings = ({
+    author,
+    headerTemplate,
+    footerTemplate,
+    onAuthorChange,
+    onHeaderTemplateChange,
+    onFooterTemplateChange,
+}) => {
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <Button variant="outline">Header &amp; Footer</Button>
+            </PopoverTrigger>
+            <PopoverContent className="flex w-80 flex-col gap-3">
+                <TextSetting
+                    label="Author"
+                    value={author}
+                    placeholder="Student or teacher name"
+                    onChange={onAuthorChange}
+                />
+                <TextSetting
+                    label="Header"
+                    value={headerTemplate}
+                    placeholder="left | center | right"
+                    onChange={onHeaderTemplateChange}
+                />
+                <TextSetting
+                    label="Footer"
+                    value={footerTemplate}
+                    placeholder="left | center | right"
+                    onChange={onFooterTemplateChange}
+                />
+                <p className="text-muted-foreground text-xs">
+                    Separate left, center and right text with <code>|</code>.
+                    Tokens:{' '}
+                    {TEMPLATE_TOKENS.map((token) => `{${token}}`).join(', ')}
+                </p>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default HeaderFooterSettings;
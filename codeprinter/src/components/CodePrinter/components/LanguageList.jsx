@@ -17,10 +17,21 @@ import {
     PopoverTrigger,
 } from '@/components/ui/popover';
 
-export const LanguageList = ({ options, defaultItem, onChange }) => {
+const AUTO_ITEM = 'auto';
+
+export const LanguageList = ({
+    options,
+    defaultItem,
+    detectedItem,
+    onChange,
+}) => {
     const [open, setOpen] = React.useState(false);
     const [value, setValue] = React.useState(defaultItem);
 
+    React.useEffect(() => {
+        setValue(defaultItem);
+    }, [defaultItem]);
+
     const handleChange = (newVal) => {
         setValue(newVal);
         if (onChange) onChange(newVal);
@@ -35,7 +46,11 @@ export const LanguageList = ({ options, defaultItem, onChange }) => {
                     aria-expanded={open}
                     className="justify-between"
                 >
-                    {value ? 'Language: ' + value : 'Select language...'}
+                    {value === AUTO_ITEM && detectedItem
+                        ? `Language: ${detectedItem} (auto)`
+                        : value
+                          ? 'Language: ' + value
+                          : 'Select language...'}
                     {/*<ChevronsUpDown className="opacity-50" />*/}
                 </Button>
             </PopoverTrigger>
@@ -54,7 +69,9 @@ export const LanguageList = ({ options, defaultItem, onChange }) => {
                                         setOpen(false);
                                     }}
                                 >
-                                    {language}
+                                    {language === AUTO_ITEM
+                                        ? 'auto-detect'
+                                        : language}
                                     <Check
                                         className={cn(
                                             'ml-auto',
@@ -0,0 +1,103 @@
+import { Button } from '@/components/ui/button';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+import { Toggle } from '@/components/ui/toggle';
+
+import {
+    COLUMN_COUNTS,
+    MARGINS,
+    ORIENTATIONS,
+    PAGES_PER_SHEET_OPTIONS,
+    PAPER_SIZES,
+} from '../pageLayout.js';
+
+const ChoiceSetting = ({
+    label,
+    options,
+    value,
+    format = String,
+    onChange,
+}) => (
+    <div className="text-sm">
+        {label}
+        <div className="flex gap-2 pt-1">
+            {options.map((option) => (
+                <Toggle
+                    key={option}
+                    variant="outline"
+                    size="sm"
+                    className="capitalize"
+                    pressed={value === option}
+                    onPressedChange={() => onChange(option)}
+                >
+                    {format(option)}
+                </Toggle>
+            ))}
+        </div>
+    </div>
+);
+
+export const LayoutSettings = ({
+    columns,
+    orientation,
+    pagesPerSheet,
+    paperSize,
+    margins,
+    onColumnsChange,
+    onOrientationChange,
+    onPagesPerSheetChange,
+    onPaperSizeChange,
+    onMarginsChange,
+}) => {
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <Button variant="outline">Layout</Button>
+            </PopoverTrigger>
+            <PopoverContent className="flex w-72 flex-col gap-3">
+                <ChoiceSetting
+                    label="Columns"
+                    options={COLUMN_COUNTS}
+                    value={columns}
+                    onChange={onColumnsChange}
+                />
+                <ChoiceSetting
+                    label="Paper"
+                    options={Object.keys(PAPER_SIZES)}
+                    value={paperSize}
+                    format={(size) => (size === 'a4' ? 'A4' : size)}
+                    onChange={onPaperSizeChange}
+                />
+                <ChoiceSetting
+                    label="Orientation"
+                    options={ORIENTATIONS}
+                    value={orientation}
+                    onChange={onOrientationChange}
+                />
+                <ChoiceSetting
+                    label="Margins"
+                    options={Object.keys(MARGINS)}
+                    value={margins}
+                    format={(name) => `${name} (${MARGINS[name]}")`}
+                    onChange={onMarginsChange}
+                />
+                <ChoiceSetting
+                    label="Pages per sheet"
+                    options={PAGES_PER_SHEET_OPTIONS}
+                    value={pagesPerSheet}
+                    format={(count) => `${count}-up`}
+                    onChange={onPagesPerSheetChange}
+                />
+                <p className="text-muted-foreground text-xs">
+                    2-up and 4-up shrink the code so several pages fit on one
+                    sheet of paper.
+                </p>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default LayoutSettings;
@@ -0,0 +1,40 @@
+import { useEffect, useRef, useState } from 'react';
+
+/** How far outside the visible area blocks start rendering. */
+const RENDER_AHEAD = '1000px';
+
+/**
+ * A run of code rows that only renders once it scrolls near the screen,
+ * standing in with a blank of the same height until then. Blocks stay
+ * rendered afterwards, so scrolling back never flickers. `eager` renders
+ * straight away, e.g. for printing.
+ * @param {{rowCount: number, eager?: boolean, children: React.ReactNode}} props
+ */
+export const LazyBlock = ({ rowCount, eager = false, children }) => {
+    const placeholderRef = useRef(null);
+    const [visible, setVisible] = useState(false);
+    const rendered = eager || visible;
+
+    useEffect(() => {
+        if (rendered) return;
+        const observer = new IntersectionObserver(
+            ([entry]) => {
+                if (entry.isIntersecting) setVisible(true);
+            },
+            { rootMargin: RENDER_AHEAD },
+        );
+        observer.observe(placeholderRef.current);
+        return () => observer.disconnect();
+    }, [rendered]);
+
+    if (rendered) return children;
+    return (
+        <span
+            ref={placeholderRef}
+            className="block"
+            style={{ height: `calc(${rowCount} * var(--row-height))` }}
+        ></span>
+    );
+};
+
+export default LazyBlock;
@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react';
+import { Button } from '@/components/ui/button';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+import { Toggle } from '@/components/ui/toggle';
+
+import { WRAP_MARKERS, normalizeLineNumberStart } from '../lineNumbering.js';
+
+export const LineNumberSettings = ({
+    lineNumberStart,
+    wrapMarker,
+    onLineNumberStartChange,
+    onWrapMarkerChange,
+}) => {
+    // Kept as text so the field can be cleared while typing a new number.
+    const [startText, setStartText] = useState(String(lineNumberStart));
+
+    useEffect(() => {
+        setStartText(String(lineNumberStart));
+    }, [lineNumberStart]);
+
+    const handleStartChange = (text) => {
+        setStartText(text);
+        if (/^\d+$/.test(text.trim())) {
+            onLineNumberStartChange(normalizeLineNumberStart(text));
+        }
+    };
+
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <Button variant="outline">Numbering &amp; Wrapping</Button>
+            </PopoverTrigger>
+            <PopoverContent className="flex w-72 flex-col gap-3">
+                <label className="block text-sm">
+                    First line number
+                    <input
+                        className="bg-background block w-full rounded-sm border px-2 py-1"
+                        type="number"
+                        min="0"
+                        step="1"
+                        value={startText}
+                        onChange={(e) =>
+                            handleStartChange(e.currentTarget.value)
+                        }
+                        onBlur={() => setStartText(String(lineNumberStart))}
+                    />
+                </label>
+                <div className="text-sm">
+                    Wrapped lines
+                    <div className="flex gap-2 pt-1">
+                        {Object.entries(WRAP_MARKERS).map(([marker, label]) => (
+                            <Toggle
+                                key={marker}
+                                variant="outline"
+                                size="sm"
+                                pressed={wrapMarker === marker}
+                                onPressedChange={() =>
+                                    onWrapMarkerChange(marker)
+                                }
+                            >
+                                {label}
+                            </Toggle>
+                        ))}
+                    </div>
+                </div>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default LineNumberSettings;
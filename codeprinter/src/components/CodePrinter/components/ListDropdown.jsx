@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import {
     DropdownMenu,
     DropdownMenuContent,
@@ -19,6 +19,10 @@ export const ListDropdown = ({
 }) => {
     const [selected, setSelected] = useState(defaultItem);
 
+    useEffect(() => {
+        setSelected(defaultItem);
+    }, [defaultItem]);
+
     const handleChange = (selected) => {
         setSelected(selected);
         if (onChange) onChange(selected);
@@ -34,7 +38,7 @@ export const ListDropdown = ({
                 </Button>
             </DropdownMenuTrigger>
             <DropdownMenuContent className="max-h-60 overflow-y-auto">
-                {options.map((item, index) => (
+                {options.map((item) => (
                     <DropdownMenuItem
                         key={item}
                         onClick={() => handleChange(item)}
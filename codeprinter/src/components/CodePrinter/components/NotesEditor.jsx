@@ -0,0 +1,97 @@
+import { MessageSquarePlus, X } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Toggle } from '@/components/ui/toggle';
+
+import { NOTE_PLACEMENTS } from '../annotations.js';
+
+export const NotesEditor = ({
+    notes,
+    placement,
+    onChange,
+    onPlacementChange,
+}) => {
+    const updateNote = (index, changes) => {
+        onChange(
+            notes.map((note, i) =>
+                i === index ? { ...note, ...changes } : note,
+            ),
+        );
+    };
+
+    const addNote = () => {
+        const lastLine = notes.length ? notes[notes.length - 1].line : 0;
+        onChange([...notes, { line: lastLine + 1, text: '' }]);
+    };
+
+    return (
+        <details className="text-sm" open={notes.length > 0}>
+            <summary className="cursor-pointer select-none">
+                Notes ({notes.length}) — click a line in preview to add one
+            </summary>
+            <div className="flex flex-col gap-2 pt-2">
+                {notes.map((note, index) => (
+                    <div key={index} className="flex items-center gap-2">
+                        <label className="flex items-center gap-1">
+                            Line
+                            <input
+                                className="bg-background w-16 rounded-sm border px-2 py-1"
+                                type="number"
+                                min="1"
+                                value={note.line}
+                                onChange={(e) =>
+                                    updateNote(index, {
+                                        line: Math.max(
+                                            1,
+                                            parseInt(e.currentTarget.value) ||
+                                                1,
+                                        ),
+                                    })
+                                }
+                            />
+                        </label>
+                        <input
+                            className="bg-background grow rounded-sm border px-2 py-1"
+                            value={note.text}
+                            placeholder="Feedback for this line"
+                            autoFocus={!note.text}
+                            onChange={(e) =>
+                                updateNote(index, {
+                                    text: e.currentTarget.value,
+                                })
+                            }
+                        />
+                        <button
+                            className="opacity-60 hover:opacity-100"
+                            title="Remove note"
+                            onClick={() =>
+                                onChange(notes.filter((_, i) => i !== index))
+                            }
+                        >
+                            <X className="size-3" />
+                        </button>
+                    </div>
+                ))}
+                <div className="flex items-center gap-2">
+                    <Button variant="outline" size="sm" onClick={addNote}>
+                        <MessageSquarePlus /> Add note
+                    </Button>
+                    <span className="ml-auto">Print notes as</span>
+                    {NOTE_PLACEMENTS.map((option) => (
+                        <Toggle
+                            key={option}
+                            variant="outline"
+                            size="sm"
+                            className="capitalize"
+                            pressed={placement === option}
+                            onPressedChange={() => onPlacementChange(option)}
+                        >
+                            {option}
+                        </Toggle>
+                    ))}
+                </div>
+            </div>
+        </details>
+    );
+};
+
+export default NotesEditor;
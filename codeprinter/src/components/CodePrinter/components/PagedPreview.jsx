@@ -0,0 +1,102 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+import { CSS_PX_PER_INCH, pageStarts } from '../previewPages.js';
+import '../pagedPreview.css';
+
+/** Space left around the sheet when scaling it to fit, in CSS pixels. */
+const FRAME_PADDING_PX = 24;
+
+const sameNumbers = (a, b) =>
+    a.length === b.length && a.every((value, i) => Math.abs(value - b[i]) < 1);
+
+/**
+ * Shows the printout on a sheet of the printed paper size, scaled to fit,
+ * with its page boundaries marked. Everything here is screen-only, so the
+ * printout prints exactly as it would without the preview around it.
+ * @param {{layout: {paper: {width: number, height: number}, margin: number}}} props
+ *   layout as resolved by resolvePageLayout
+ */
+export const PagedPreview = ({ layout, children }) => {
+    const frameRef = useRef(null);
+    const sheetRef = useRef(null);
+    const contentRef = useRef(null);
+    const [frameWidth, setFrameWidth] = useState(0);
+    const [starts, setStarts] = useState([0]);
+    const [sheetHeight, setSheetHeight] = useState(0);
+
+    const sheetWidth = layout.paper.width * CSS_PX_PER_INCH;
+    const margin = layout.margin * CSS_PX_PER_INCH;
+    const pageHeight = layout.paper.height * CSS_PX_PER_INCH - margin * 2;
+    const scale = frameWidth
+        ? Math.min(1, (frameWidth - FRAME_PADDING_PX) / sheetWidth)
+        : 1;
+
+    const measure = () => {
+        const content = contentRef.current;
+        if (!content) return;
+        // Offsets come from client rects, which include the fit-to-width
+        // transform, so scale them back to the sheet's own pixels.
+        const box = content.getBoundingClientRect();
+        const ratio = content.offsetWidth ? box.width / content.offsetWidth : 1;
+        const forcedBreaks = Array.from(
+            content.querySelectorAll('.break-before-page'),
+            (element) =>
+                (element.getBoundingClientRect().top - box.top) / ratio,
+        );
+        const next = pageStarts(content.offsetHeight, pageHeight, forcedBreaks);
+        setStarts((current) => (sameNumbers(current, next) ? current : next));
+        setSheetHeight(sheetRef.current.offsetHeight);
+    };
+
+    // Re-measure after every render; setStarts bails out when nothing moved.
+    useLayoutEffect(measure);
+
+    // Content also changes size without a render, e.g. when a font loads.
+    useEffect(() => {
+        const observer = new ResizeObserver(() => {
+            setFrameWidth(frameRef.current.clientWidth);
+            measure();
+        });
+        observer.observe(frameRef.current);
+        observer.observe(contentRef.current);
+        return () => observer.disconnect();
+    }, [pageHeight]);
+
+    const lastStart = starts[starts.length - 1];
+
+    return (
+        <div
+            ref={frameRef}
+            className="pagedPreview"
+            style={{
+                '--sheet-scale': scale,
+                '--sheet-width': `${sheetWidth}px`,
+                '--sheet-height': `${sheetHeight}px`,
+            }}
+        >
+            <div className="pagedSheetFrame">
+                <div
+                    ref={sheetRef}
+                    className="pagedSheet"
+                    style={{
+                        '--sheet-margin': `${margin}px`,
+                        '--sheet-min-height': `${lastStart + pageHeight + margin * 2}px`,
+                    }}
+                >
+                    <div ref={contentRef}>{children}</div>
+                    {starts.map((start, index) => (
+                        <div
+                            key={index}
+                            className="pageBoundary print:hidden"
+                            style={{ top: `${start + margin}px` }}
+                        >
+                            <span>Page {index + 1}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PagedPreview;
@@ -0,0 +1,28 @@
+/**
+ * Shown while a printout is prepared: files are highlighted first, then every
+ * page is laid out before the print dialog opens.
+ * @param {{done: number, total: number}} props files highlighted so far
+ */
+export const PrintProgress = ({ done, total }) => (
+    <div
+        className="fixed inset-0 z-[100] flex items-center justify-center bg-black/30 print:hidden"
+        role="status"
+        aria-live="polite"
+    >
+        <div className="bg-popover text-foreground w-72 rounded-md p-4 text-sm shadow-lg">
+            <p>
+                {done < total
+                    ? `Highlighting files… ${done} of ${total}`
+                    : 'Laying out pages…'}
+            </p>
+            <div className="mt-2 h-1.5 overflow-hidden rounded-sm bg-gray-500/30">
+                <div
+                    className="h-full bg-gray-500 transition-[width]"
+                    style={{ width: `${total ? (done / total) * 100 : 100}%` }}
+                ></div>
+            </div>
+        </div>
+    </div>
+);
+
+export default PrintProgress;
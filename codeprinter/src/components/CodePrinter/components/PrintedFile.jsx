@@ -0,0 +1,332 @@
+import { useMemo, useRef } from 'react';
+import SyntaxHighlighter, { createElement } from 'react-syntax-highlighter';
+
+import { cn } from '@/lib/utils';
+import { lineSpecMatcher, sourceLineNumber } from '../lineSelection.js';
+import {
+    DEFAULT_LINE_NUMBER_START,
+    DEFAULT_WRAP_MARKER,
+    gutterDigits,
+} from '../lineNumbering.js';
+import {
+    DEFAULT_NOTE_PLACEMENT,
+    notesByLine,
+    numberNotes,
+} from '../annotations.js';
+import { DEFAULT_WHITESPACE, splitWhitespace } from '../whitespace.js';
+import { DEFAULT_TYPOGRAPHY, typographyStyle } from '../typography.js';
+import { useHighlightTree } from '../highlightWorker.js';
+import { LazyBlock } from './LazyBlock.jsx';
+
+/** Files longer than this render in blocks as they scroll into view. */
+const LAZY_MIN_ROWS = 1000;
+
+/** Rows per lazily rendered block. */
+const LAZY_BLOCK_ROWS = 200;
+
+const textNode = (value) => ({ type: 'text', value });
+
+const spanNode = (className, children) => ({
+    type: 'element',
+    tagName: 'span',
+    properties: { className: [className] },
+    children,
+});
+
+/** lineNumbers.css classes for visible whitespace markers. */
+const WHITESPACE_CLASSES = { space: 'wsSpace', tab: 'wsTab' };
+
+/** Wraps every run of spaces and each tab in a marker span. */
+const markWhitespace = (nodes) =>
+    nodes.flatMap((node) => {
+        if (node.type === 'element') {
+            return [{ ...node, children: markWhitespace(node.children) }];
+        }
+        if (node.type !== 'text') return [node];
+        return splitWhitespace(node.value).map((part) =>
+            part.whitespace
+                ? spanNode(WHITESPACE_CLASSES[part.whitespace], [
+                      textNode(part.text),
+                  ])
+                : textNode(part.text),
+        );
+    });
+
+/** Callout numbers after the code, plus the note text when it goes in the margin. */
+const noteNodes = (notes, placement) => {
+    const nodes = notes.map((note) =>
+        spanNode('noteMarker', [textNode(String(note.number))]),
+    );
+    if (placement === 'margin') {
+        nodes.push(
+            spanNode(
+                'noteCallout',
+                notes.map((note) =>
+                    spanNode('noteText', [
+                        spanNode('noteNumber', [textNode(String(note.number))]),
+                        textNode(note.text),
+                    ]),
+                ),
+            ),
+        );
+    }
+    return nodes;
+};
+
+/**
+ * Hands SyntaxHighlighter a tree that was already highlighted, see
+ * highlightWorker.js. Listing no languages routes every file through
+ * highlightAuto.
+ */
+const presetAstGenerator = (tree) => ({
+    listLanguages: () => [],
+    highlight: () => ({ value: tree }),
+    highlightAuto: () => ({ value: tree }),
+});
+
+const inBlocks = (rows) =>
+    Array.from({ length: Math.ceil(rows.length / LAZY_BLOCK_ROWS) }, (_, i) =>
+        rows.slice(i * LAZY_BLOCK_ROWS, (i + 1) * LAZY_BLOCK_ROWS),
+    );
+
+/**
+ * Renders only the rows inside the file's line range, highlighting the
+ * requested lines. SyntaxHighlighter only passes line numbers to `lineProps`
+ * when it draws its own numbers, so rows are decorated here instead; each row
+ * sets the CSS line counter so skipped lines keep their original numbers,
+ * counted from `lineNumberStart`. Lines with notes get their callouts,
+ * whitespace can be made visible, and in preview every line can be clicked
+ * to attach a note. Long files are split into blocks that render as they
+ * scroll into view, unless `lazy` is off.
+ */
+const createLineRenderer = (
+    file,
+    lineNumberStart,
+    notes,
+    notePlacement,
+    showWhitespace,
+    onLineClick,
+    lazy,
+) => {
+    const isVisible = lineSpecMatcher(file.lineRange, true);
+    const isHighlighted = lineSpecMatcher(file.highlightLines, false);
+
+    return ({ rows, stylesheet, useInlineStyles }) => {
+        const elements = rows.flatMap((row, index) => {
+            const lineNumber = sourceLineNumber(file, index);
+            if (!isVisible(lineNumber)) return [];
+
+            const lineNotes = notes.get(lineNumber);
+            const properties = {
+                ...row.properties,
+                className: (row.properties?.className || []).concat(
+                    isHighlighted(lineNumber) ? ['highlightedLine'] : [],
+                    lineNotes ? ['annotatedLine'] : [],
+                    onLineClick ? ['cursor-pointer'] : [],
+                ),
+                style: {
+                    ...row.properties?.style,
+                    counterSet: `line ${lineNumber + lineNumberStart - 1}`,
+                },
+                ...(onLineClick
+                    ? {
+                          title: 'Click to add a note',
+                          onClick: () => onLineClick(lineNumber),
+                      }
+                    : null),
+            };
+            const code = showWhitespace
+                ? markWhitespace(row.children)
+                : row.children;
+            const children = lineNotes
+                ? code.concat(noteNodes(lineNotes, notePlacement))
+                : code;
+            return [
+                createElement({
+                    node: { ...row, properties, children },
+                    stylesheet,
+                    useInlineStyles,
+                    key: `code-line-${lineNumber}`,
+                }),
+            ];
+        });
+        if (!lazy || elements.length <= LAZY_MIN_ROWS) return elements;
+        return inBlocks(elements).map((block, index) => (
+            <LazyBlock key={index} rowCount={block.length}>
+                {block}
+            </LazyBlock>
+        ));
+    };
+};
+
+/** Flows the code element into newspaper-style columns. */
+const columnStyle = (columns) => ({
+    display: 'block',
+    flexGrow: 1,
+    minWidth: 0,
+    columnCount: columns,
+    columnGap: '2em',
+    columnRule: '1px solid #dee2e6',
+});
+
+/** lineNumbers.css classes for each wrap marker. */
+const WRAP_MARKER_CLASSES = {
+    arrow: 'wrapArrow',
+    indent: 'wrapIndent',
+};
+
+export const PrintedFile = ({
+    file,
+    language,
+    showHeader,
+    pageName,
+    font,
+    size,
+    theme,
+    showLineNumbers,
+    lineNumberStart = DEFAULT_LINE_NUMBER_START,
+    wrapMarker = DEFAULT_WRAP_MARKER,
+    columns = 1,
+    notePlacement = DEFAULT_NOTE_PLACEMENT,
+    tabWidth = DEFAULT_WHITESPACE.tabWidth,
+    showWhitespace = false,
+    typography = DEFAULT_TYPOGRAPHY,
+    lazy = false,
+    onLineClick,
+    className,
+}) => {
+    const notes = numberNotes(file.notes);
+    const notesInMargin = notePlacement === 'margin' && notes.length > 0;
+    // Lazy rendering comes with highlighting in the worker; a full render
+    // highlights on the spot so nothing prints unhighlighted.
+    const { tree, code } = useHighlightTree(file.code, language, {
+        sync: !lazy,
+    });
+    // Click handlers change every render; reading them through a ref keeps
+    // them from re-rendering the code below.
+    const lineClick = useRef(onLineClick);
+    lineClick.current = onLineClick;
+    const clickable = Boolean(onLineClick);
+
+    // Re-rendering every row is what makes long files slow, so the code is
+    // only rebuilt when something it shows changes.
+    const highlighted = useMemo(
+        () => (
+            <SyntaxHighlighter
+                className="flex grow"
+                lineProps={
+                    showLineNumbers
+                        ? {
+                              className:
+                                  'lineNumber whitespace-pre-wrap hyphens-none',
+                          }
+                        : null
+                }
+                wrapLines="true"
+                style={theme || ''}
+                codeTagProps={{
+                    style: {
+                        fontFamily: `"${font}", monospace`,
+                        fontSize: `${size}pt`,
+                        ...typographyStyle(typography),
+                        ...(columns > 1 ? columnStyle(columns) : null),
+                    },
+                }}
+                lineNumberStyle={{
+                    fontFamily: `"${font}", monospace`,
+                    fontSize: `${size}pt`,
+                    ...typographyStyle(typography),
+                }}
+                language={language}
+                astGenerator={presetAstGenerator(tree)}
+                customStyle={{
+                    border: 'none',
+                    tabSize: tabWidth,
+                    ...(notesInMargin ? { overflow: 'visible' } : null),
+                }}
+                renderer={createLineRenderer(
+                    file,
+                    lineNumberStart,
+                    notesByLine(notes),
+                    notePlacement,
+                    showWhitespace,
+                    clickable ? (line) => lineClick.current(line) : undefined,
+                    lazy,
+                )}
+            >
+                {code}
+            </SyntaxHighlighter>
+        ),
+        [
+            tree,
+            code,
+            file.lineRange,
+            file.highlightLines,
+            file.notes,
+            file.sourceLines,
+            language,
+            font,
+            size,
+            theme,
+            showLineNumbers,
+            lineNumberStart,
+            columns,
+            notePlacement,
+            tabWidth,
+            showWhitespace,
+            typography,
+            clickable,
+            lazy,
+        ],
+    );
+
+    return (
+        <section
+            className={cn(
+                'printFile flex flex-col',
+                WRAP_MARKER_CLASSES[wrapMarker],
+                notesInMargin ? 'notesInMargin' : '',
+                className,
+            )}
+            style={{
+                page: pageName,
+                '--line-number-digits': gutterDigits(
+                    sourceLineNumber(file, file.code.split('\n').length - 1),
+                    lineNumberStart,
+                ),
+                '--line-height': typography.lineHeight,
+            }}
+        >
+            {showHeader ? (
+                <h2
+                    className="border-b px-2 pb-1 font-semibold"
+                    style={{
+                        fontFamily: `"${font}", monospace`,
+                        fontSize: `${size + 2}pt`,
+                    }}
+                >
+                    {file.name}
+                </h2>
+            ) : null}
+            {highlighted}
+            {notePlacement === 'footnotes' && notes.length ? (
+                <ol
+                    className="noteFootnotes"
+                    style={{
+                        fontFamily: `"${font}", monospace`,
+                        fontSize: `${size}pt`,
+                    }}
+                >
+                    {notes.map((note) => (
+                        <li key={note.number}>
+                            <span className="noteNumber">{note.number}</span>
+                            Line {note.line + lineNumberStart - 1}: {note.text}
+                        </li>
+                    ))}
+                </ol>
+            ) : null}
+        </section>
+    );
+};
+
+export default PrintedFile;
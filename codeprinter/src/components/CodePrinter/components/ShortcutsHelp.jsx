@@ -0,0 +1,57 @@
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogHeader,
+    DialogTitle,
+} from '@/components/ui/dialog';
+
+import {
+    EDITOR_SHORTCUTS,
+    SHORTCUTS,
+    formatShortcut,
+} from '../keyboardShortcuts.js';
+
+const ShortcutRows = ({ shortcuts }) =>
+    Object.entries(shortcuts).map(([id, { keys, label }]) => (
+        <tr key={id}>
+            <td className="py-1">{label}</td>
+            <td className="py-1 text-right">
+                <kbd className="bg-muted rounded-sm border px-1.5 py-0.5 font-mono text-xs">
+                    {formatShortcut(keys)}
+                </kbd>
+            </td>
+        </tr>
+    ));
+
+export const ShortcutsHelp = ({ open, onOpenChange }) => (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+        <DialogContent className="max-w-md">
+            <DialogHeader>
+                <DialogTitle>Keyboard shortcuts</DialogTitle>
+                <DialogDescription>
+                    Every toolbar action is also available from the command
+                    palette.
+                </DialogDescription>
+            </DialogHeader>
+            <table className="text-sm">
+                <tbody>
+                    <ShortcutRows shortcuts={SHORTCUTS}></ShortcutRows>
+                </tbody>
+                <tbody>
+                    <tr>
+                        <th
+                            colSpan={2}
+                            className="pt-3 pb-1 text-left font-semibold"
+                        >
+                            In the editor
+                        </th>
+                    </tr>
+                    <ShortcutRows shortcuts={EDITOR_SHORTCUTS}></ShortcutRows>
+                </tbody>
+            </table>
+        </DialogContent>
+    </Dialog>
+);
+
+export default ShortcutsHelp;
@@ -0,0 +1,104 @@
+import { useRef } from 'react';
+
+import { cn } from '@/lib/utils';
+import {
+    clampSplitRatio,
+    scrollRatio,
+    setScrollRatio,
+} from '../previewPages.js';
+
+/** How long a pane keeps the scroll lead after it last scrolled. */
+const SCROLL_LEAD_MS = 150;
+
+/** Split moved by each arrow key press on the divider. */
+const KEYBOARD_STEP = 0.05;
+
+/**
+ * Editor and preview side by side with a draggable divider. Scrolling
+ * either pane scrolls the other to the same relative position; every
+ * textarea in the editor pane follows, so both sides of a diff stay
+ * together.
+ */
+export const SplitView = ({ ratio, onRatioChange, editor, preview }) => {
+    const containerRef = useRef(null);
+    const editorRef = useRef(null);
+    const previewRef = useRef(null);
+    // The pane being scrolled by the user; scroll events the sync itself
+    // causes in the other pane are ignored until it settles.
+    const lead = useRef({ pane: null, timer: 0 });
+
+    const follow = (source, targets) => {
+        const current = lead.current;
+        if (current.pane && current.pane !== source) return;
+        current.pane = source;
+        clearTimeout(current.timer);
+        current.timer = setTimeout(() => {
+            current.pane = null;
+        }, SCROLL_LEAD_MS);
+        const position = scrollRatio(source);
+        targets
+            .filter((target) => target !== source)
+            .forEach((target) => setScrollRatio(target, position));
+    };
+
+    const editorPanes = () =>
+        Array.from(editorRef.current.querySelectorAll('textarea'));
+
+    const handlePointerMove = (e) => {
+        if (!e.currentTarget.hasPointerCapture(e.pointerId)) return;
+        const box = containerRef.current.getBoundingClientRect();
+        onRatioChange(clampSplitRatio((e.clientX - box.left) / box.width));
+    };
+
+    const handleKeyDown = (e) => {
+        const step = { ArrowLeft: -KEYBOARD_STEP, ArrowRight: KEYBOARD_STEP }[
+            e.key
+        ];
+        if (!step) return;
+        e.preventDefault();
+        onRatioChange(clampSplitRatio(ratio + step));
+    };
+
+    return (
+        <div
+            ref={containerRef}
+            className="flex h-[85dvh] min-h-80 print:block print:h-auto"
+        >
+            <div
+                ref={editorRef}
+                className="flex min-w-0 gap-3 print:hidden"
+                style={{ flexBasis: `${ratio * 100}%` }}
+                onScrollCapture={(e) =>
+                    follow(e.target, [previewRef.current, ...editorPanes()])
+                }
+            >
+                {editor}
+            </div>
+            <div
+                role="separator"
+                aria-orientation="vertical"
+                aria-valuenow={Math.round(ratio * 100)}
+                aria-label="Resize editor and preview"
+                tabIndex={0}
+                className={cn(
+                    'mx-1 w-1.5 shrink-0 cursor-col-resize touch-none rounded-sm bg-gray-500',
+                    'hover:bg-gray-400 focus-visible:bg-gray-400 focus-visible:outline-none print:hidden',
+                )}
+                onPointerDown={(e) =>
+                    e.currentTarget.setPointerCapture(e.pointerId)
+                }
+                onPointerMove={handlePointerMove}
+                onKeyDown={handleKeyDown}
+            ></div>
+            <div
+                ref={previewRef}
+                className="min-w-0 flex-1 overflow-y-auto print:overflow-visible"
+                onScroll={(e) => follow(e.currentTarget, editorPanes())}
+            >
+                {preview}
+            </div>
+        </div>
+    );
+};
+
+export default SplitView;
@@ -0,0 +1,22 @@
+import { cn } from '@/lib/utils';
+
+/** Cover page printed before each student's files in a batch. */
+export const SubmissionCover = ({ student, fileNames, font, className }) => (
+    <section
+        className={cn(
+            'flex min-h-[50vh] break-after-page flex-col justify-center gap-4 px-8',
+            className,
+        )}
+        style={{ fontFamily: `"${font}", monospace` }}
+    >
+        <h2 className="border-b pb-2 text-[24pt] font-semibold">{student}</h2>
+        <p className="text-[12pt]">{fileNames.length} file(s)</p>
+        <ol className="list-decimal pl-6 text-[11pt]">
+            {fileNames.map((name) => (
+                <li key={name}>{name}</li>
+            ))}
+        </ol>
+    </section>
+);
+
+export default SubmissionCover;
@@ -0,0 +1,286 @@
+import { useRef, useState } from 'react';
+import SyntaxHighlighter from 'react-syntax-highlighter';
+import { Button } from '@/components/ui/button';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+    DialogTrigger,
+} from '@/components/ui/dialog';
+import { ListDropdown } from './ListDropdown.jsx';
+
+import {
+    THEME_TOKEN_CLASSES,
+    customThemeToStyle,
+    parseThemeJson,
+    serializeTheme,
+    themeFromStyle,
+} from '../customThemes.js';
+import { readTextFile } from '../fileLoading.js';
+import { downloadTextFile } from '../download.js';
+import { showToast } from '../toast.js';
+
+const PREVIEW_MAX_LINES = 20;
+
+const SAMPLE_CODE = `/**
+ * Greets everyone on the list.
+ * @param names people to greet
+ */
+public class Greeter {
+    private static final int TIMES = 3;
+
+    public static void main(String[] args) {
+        // Say hello a few times
+        for (int i = 0; i < TIMES; i++) {
+            System.out.println("Hello, " + args[i] + "!");
+        }
+    }
+}`;
+
+const ColorSetting = ({ label, value, onChange }) => (
+    <label className="flex items-center gap-2 text-sm">
+        <input
+            type="color"
+            className="h-6 w-8 cursor-pointer"
+            value={value}
+            onChange={(e) => onChange(e.currentTarget.value)}
+        />
+        {label}
+    </label>
+);
+
+const TokenSetting = ({ label, token, onChange }) => (
+    <div className="flex items-center gap-2 text-sm">
+        <input
+            type="color"
+            className="h-6 w-8 cursor-pointer"
+            value={token.color}
+            onChange={(e) => onChange({ color: e.currentTarget.value })}
+        />
+        <span className="grow">{label}</span>
+        <label className="font-bold" title="Bold">
+            <input
+                type="checkbox"
+                checked={token.bold}
+                onChange={(e) => onChange({ bold: e.currentTarget.checked })}
+            />{' '}
+            B
+        </label>
+        <label className="italic" title="Italic">
+            <input
+                type="checkbox"
+                checked={token.italic}
+                onChange={(e) => onChange({ italic: e.currentTarget.checked })}
+            />{' '}
+            I
+        </label>
+    </div>
+);
+
+export const ThemeEditor = ({
+    themes,
+    themeName,
+    customThemes,
+    builtInThemeNames,
+    font,
+    previewCode,
+    previewLanguage,
+    onSave,
+    onDelete,
+}) => {
+    const [open, setOpen] = useState(false);
+    const [draft, setDraft] = useState(null);
+    const importInput = useRef(null);
+
+    const startFrom = (name) => {
+        const custom = customThemes.find((theme) => theme.name === name);
+        setDraft(
+            custom
+                ? structuredClone(custom)
+                : themeFromStyle(
+                      name === 'None' ? 'My theme' : `${name} (custom)`,
+                      themes[name],
+                  ),
+        );
+    };
+
+    const handleOpenChange = (isOpen) => {
+        if (isOpen) startFrom(themeName);
+        setOpen(isOpen);
+    };
+
+    const updateToken = (className, changes) => {
+        setDraft({
+            ...draft,
+            tokens: {
+                ...draft.tokens,
+                [className]: { ...draft.tokens[className], ...changes },
+            },
+        });
+    };
+
+    const handleSave = () => {
+        const name = draft.name.trim();
+        if (!name) {
+            showToast('Give the theme a name first.', true);
+            return;
+        }
+        if (builtInThemeNames.includes(name)) {
+            showToast(
+                `"${name}" is a built-in theme; pick another name.`,
+                true,
+            );
+            return;
+        }
+        onSave({ ...draft, name });
+        setOpen(false);
+    };
+
+    const handleImport = async (e) => {
+        const [file] = e.currentTarget.files;
+        e.currentTarget.value = '';
+        if (!file) return;
+        try {
+            setDraft(parseThemeJson(await readTextFile(file)));
+        } catch (err) {
+            console.error('Theme import error', err);
+            showToast(`Could not import ${file.name}: ${err.message}`, true);
+        }
+    };
+
+    const isSaved =
+        draft && customThemes.some((theme) => theme.name === draft.name);
+
+    const code = previewCode?.trim()
+        ? previewCode.split('\n').slice(0, PREVIEW_MAX_LINES).join('\n')
+        : SAMPLE_CODE;
+
+    return (
+        <Dialog open={open} onOpenChange={handleOpenChange}>
+            <DialogTrigger asChild>
+                <Button variant="outline">Edit Themes</Button>
+            </DialogTrigger>
+            {draft ? (
+                <DialogContent className="max-h-[90vh] max-w-4xl overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle>Theme editor</DialogTitle>
+                        <DialogDescription>
+                            Custom themes are saved in this browser and appear
+                            in the Theme list. Export a theme to share it.
+                        </DialogDescription>
+                    </DialogHeader>
+                    <div className="flex flex-wrap items-center gap-3">
+                        <label className="flex items-center gap-2 text-sm">
+                            Name
+                            <input
+                                className="bg-background rounded-sm border px-2 py-1"
+                                value={draft.name}
+                                onChange={(e) =>
+                                    setDraft({
+                                        ...draft,
+                                        name: e.currentTarget.value,
+                                    })
+                                }
+                            />
+                        </label>
+                        <ListDropdown
+                            options={Object.keys(themes)}
+                            defaultItem={themeName}
+                            onChange={startFrom}
+                            caption="Start from"
+                        ></ListDropdown>
+                    </div>
+                    <div className="grid gap-4 md:grid-cols-2">
+                        <div className="flex flex-col gap-1">
+                            <ColorSetting
+                                label="Background"
+                                value={draft.background}
+                                onChange={(background) =>
+                                    setDraft({ ...draft, background })
+                                }
+                            />
+                            <ColorSetting
+                                label="Plain text"
+                                value={draft.color}
+                                onChange={(color) =>
+                                    setDraft({ ...draft, color })
+                                }
+                            />
+                            {Object.entries(THEME_TOKEN_CLASSES).map(
+                                ([className, label]) => (
+                                    <TokenSetting
+                                        key={className}
+                                        label={label}
+                                        token={draft.tokens[className]}
+                                        onChange={(changes) =>
+                                            updateToken(className, changes)
+                                        }
+                                    />
+                                ),
+                            )}
+                        </div>
+                        <SyntaxHighlighter
+                            language={
+                                previewCode?.trim() ? previewLanguage : 'java'
+                            }
+                            style={customThemeToStyle(draft)}
+                            customStyle={{ margin: 0 }}
+                            codeTagProps={{
+                                style: {
+                                    fontFamily: `"${font}", monospace`,
+                                    fontSize: '10pt',
+                                },
+                            }}
+                            wrapLongLines
+                        >
+                            {code}
+                        </SyntaxHighlighter>
+                    </div>
+                    <DialogFooter className="gap-2">
+                        <input
+                            ref={importInput}
+                            type="file"
+                            accept=".json,application/json"
+                            className="hidden"
+                            onChange={handleImport}
+                        />
+                        <Button
+                            variant="outline"
+                            onClick={() => importInput.current.click()}
+                        >
+                            Import JSON
+                        </Button>
+                        <Button
+                            variant="outline"
+                            onClick={() =>
+                                downloadTextFile(
+                                    `${draft.name.trim() || 'theme'}.json`,
+                                    serializeTheme(draft),
+                                )
+                            }
+                        >
+                            Export JSON
+                        </Button>
+                        {isSaved ? (
+                            <Button
+                                variant="outline"
+                                onClick={() => {
+                                    onDelete(draft.name);
+                                    setOpen(false);
+                                }}
+                            >
+                                Delete
+                            </Button>
+                        ) : null}
+                        <Button onClick={handleSave}>Save theme</Button>
+                    </DialogFooter>
+                </DialogContent>
+            ) : null}
+        </Dialog>
+    );
+};
+
+export default ThemeEditor;
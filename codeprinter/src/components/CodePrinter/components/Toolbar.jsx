@@ -1,65 +1,148 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
+import { Keyboard } from 'lucide-react';
 import { FontDropdown } from './FontDropdown.jsx';
+import { FontSizeInput } from './FontSizeInput.jsx';
+import { TypographySettings } from './TypographySettings.jsx';
 import { ListDropdown } from './ListDropdown.jsx';
 import { LanguageList } from './LanguageList.jsx';
+import { HeaderFooterSettings } from './HeaderFooterSettings.jsx';
+import { LineNumberSettings } from './LineNumberSettings.jsx';
+import { ThemeEditor } from './ThemeEditor.jsx';
+import { LayoutSettings } from './LayoutSettings.jsx';
+import { WhitespaceSettings } from './WhitespaceSettings.jsx';
+import { CommentSettings } from './CommentSettings.jsx';
+import { WorkspaceManager } from './WorkspaceManager.jsx';
 import { Checkbox } from '@/components/ui/checkbox';
 import { Button } from '@/components/ui/button';
 import { Toggle } from '@/components/ui/toggle';
+import { VIEW_MODES } from '../previewPages.js';
 
 export const Toolbar = ({
     fontList,
+    customFonts,
     defaultFont,
     fontSizes,
     defaultSize,
+    typography,
     themes,
     defaultTheme,
+    themeStyles,
+    customThemes,
+    builtInThemeNames,
+    previewCode,
+    previewLanguage,
     languageList,
     defaultLanguage,
+    detectedLanguage,
     showLineNumbers,
+    printSafe,
+    showContents,
+    lineNumberStart,
+    wrapMarker,
+    columns,
+    orientation,
+    pagesPerSheet,
+    paperSize,
+    margins,
+    whitespace,
+    stripComments,
+    diffModes,
+    diffMode,
+    author,
+    headerTemplate,
+    footerTemplate,
     onFontChange,
+    onLoadFontFile,
+    onRemoveFont,
     onSizeChange,
+    onTypographyChange,
     onThemeChange,
+    onSaveTheme,
+    onDeleteTheme,
     onShowLineNumbersChange,
+    onPrintSafeChange,
+    onShowContentsChange,
+    onLineNumberStartChange,
+    onWrapMarkerChange,
+    onColumnsChange,
+    onOrientationChange,
+    onPagesPerSheetChange,
+    onPaperSizeChange,
+    onMarginsChange,
+    onWhitespaceChange,
+    onStripCommentsChange,
+    onDiffModeChange,
     onLanguageChange,
-    onPreviewChange,
+    onAuthorChange,
+    onHeaderTemplateChange,
+    onFooterTemplateChange,
+    view,
+    onViewChange,
+    onShowShortcuts,
     onPrint,
+    onExportPdf,
+    onCopyLink,
+    workspace,
+    files,
+    isModified,
+    onWorkspaceOpen,
+    onWorkspaceSaved,
+    onWorkspaceRenamed,
+    onWorkspaceDeleted,
 }) => {
     const [themeName, setThemeName] = useState(defaultTheme);
-    const [preview, setPreview] = useState(false);
+
+    useEffect(() => {
+        setThemeName(defaultTheme);
+    }, [defaultTheme]);
 
     const handleThemeChange = (themeName) => {
         setThemeName(themeName);
         if (onThemeChange) onThemeChange(themeName);
     };
 
-    const handlePreviewChange = (newVal) => {
-        setPreview(newVal);
-        if (onPreviewChange) onPreviewChange(newVal);
-    };
-
     return (
         <nav className="flex max-h-max flex-wrap items-center bg-gray-500 p-3 align-middle">
             <div className="flex flex-wrap items-center justify-start gap-3 align-middle">
                 <FontDropdown
                     fontList={fontList}
+                    customFonts={customFonts}
                     defaultFont={defaultFont}
                     onChange={onFontChange}
+                    onLoadFontFile={onLoadFontFile}
+                    onRemoveFont={onRemoveFont}
                 ></FontDropdown>
-                <ListDropdown
-                    options={fontSizes}
-                    defaultItem={defaultSize}
+                <FontSizeInput
+                    size={defaultSize}
+                    presets={fontSizes}
                     onChange={onSizeChange}
-                    caption="Font Size"
-                ></ListDropdown>
+                ></FontSizeInput>
+                <TypographySettings
+                    typography={typography}
+                    font={defaultFont}
+                    onChange={onTypographyChange}
+                ></TypographySettings>
                 <ListDropdown
                     options={themes}
                     defaultItem={themeName}
                     onChange={handleThemeChange}
                     caption="Theme"
                 ></ListDropdown>
+                <ThemeEditor
+                    themes={themeStyles}
+                    themeName={themeName}
+                    customThemes={customThemes}
+                    builtInThemeNames={builtInThemeNames}
+                    font={defaultFont}
+                    previewCode={previewCode}
+                    previewLanguage={previewLanguage}
+                    onSave={onSaveTheme}
+                    onDelete={onDeleteTheme}
+                ></ThemeEditor>
                 <LanguageList
                     options={languageList}
                     defaultItem={defaultLanguage}
+                    detectedItem={detectedLanguage}
                     onChange={onLanguageChange}
                 ></LanguageList>
                 <label className="block">
@@ -70,18 +153,120 @@ export const Toolbar = ({
                     />
                     &nbsp;Line Numbers
                 </label>
+                <label
+                    className="block"
+                    title="Monochrome, high-contrast version of the theme for black-and-white printers"
+                >
+                    <Checkbox
+                        className="align-middle"
+                        checked={printSafe}
+                        onCheckedChange={onPrintSafeChange}
+                    />
+                    &nbsp;Print Safe
+                </label>
+                <label
+                    className="block"
+                    title="Start multi-file printouts with a list of files; page numbers and links appear in PDF export"
+                >
+                    <Checkbox
+                        className="align-middle"
+                        checked={showContents}
+                        onCheckedChange={onShowContentsChange}
+                    />
+                    &nbsp;Contents
+                </label>
+                <LineNumberSettings
+                    lineNumberStart={lineNumberStart}
+                    wrapMarker={wrapMarker}
+                    onLineNumberStartChange={onLineNumberStartChange}
+                    onWrapMarkerChange={onWrapMarkerChange}
+                ></LineNumberSettings>
+                <LayoutSettings
+                    columns={columns}
+                    orientation={orientation}
+                    pagesPerSheet={pagesPerSheet}
+                    paperSize={paperSize}
+                    margins={margins}
+                    onColumnsChange={onColumnsChange}
+                    onOrientationChange={onOrientationChange}
+                    onPagesPerSheetChange={onPagesPerSheetChange}
+                    onPaperSizeChange={onPaperSizeChange}
+                    onMarginsChange={onMarginsChange}
+                ></LayoutSettings>
+                <WhitespaceSettings
+                    whitespace={whitespace}
+                    onChange={onWhitespaceChange}
+                ></WhitespaceSettings>
+                <CommentSettings
+                    stripComments={stripComments}
+                    previewCode={previewCode}
+                    previewLanguage={previewLanguage}
+                    font={defaultFont}
+                    onStripCommentsChange={onStripCommentsChange}
+                ></CommentSettings>
+                <ListDropdown
+                    options={diffModes}
+                    defaultItem={diffMode}
+                    onChange={onDiffModeChange}
+                    caption="Diff"
+                ></ListDropdown>
+                <HeaderFooterSettings
+                    author={author}
+                    headerTemplate={headerTemplate}
+                    footerTemplate={footerTemplate}
+                    onAuthorChange={onAuthorChange}
+                    onHeaderTemplateChange={onHeaderTemplateChange}
+                    onFooterTemplateChange={onFooterTemplateChange}
+                ></HeaderFooterSettings>
             </div>
             <div className="ml-auto flex justify-end gap-3">
-                <Toggle
-                    className="border"
-                    pressed={preview}
-                    onPressedChange={handlePreviewChange}
+                <WorkspaceManager
+                    workspace={workspace}
+                    files={files}
+                    isModified={isModified}
+                    onOpen={onWorkspaceOpen}
+                    onSaved={onWorkspaceSaved}
+                    onRenamed={onWorkspaceRenamed}
+                    onDeleted={onWorkspaceDeleted}
+                ></WorkspaceManager>
+                <div className="flex" role="group" aria-label="View">
+                    {VIEW_MODES.map((mode) => (
+                        <Toggle
+                            key={mode}
+                            className="rounded-none border capitalize first:rounded-l-md last:rounded-r-md"
+                            pressed={view === mode}
+                            onPressedChange={() => onViewChange(mode)}
+                        >
+                            {mode}
+                        </Toggle>
+                    ))}
+                </div>
+                <Button variant="outline" onClick={onCopyLink}>
+                    Copy link
+                </Button>
+                <Button
+                    variant="outline"
+                    disabled={diffMode !== 'off'}
+                    title={
+                        diffMode !== 'off'
+                            ? 'PDF export does not include diffs; set Diff to off or use Print'
+                            : undefined
+                    }
+                    onClick={onExportPdf}
                 >
-                    Preview
-                </Toggle>
+                    Export PDF
+                </Button>
                 <Button variant="outline" onClick={onPrint}>
                     Print
                 </Button>
+                <Button
+                    variant="outline"
+                    size="icon"
+                    title="Keyboard shortcuts"
+                    onClick={onShowShortcuts}
+                >
+                    <Keyboard />
+                </Button>
             </div>
         </nav>
     );
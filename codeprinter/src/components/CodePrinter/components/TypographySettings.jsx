@@ -0,0 +1,105 @@
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+import { Toggle } from '@/components/ui/toggle';
+
+import {
+    FONT_WEIGHTS,
+    LETTER_SPACING_RANGE,
+    LINE_HEIGHT_RANGE,
+    typographyStyle,
+} from '../typography.js';
+
+const RangeSetting = ({ label, range, value, format, onChange }) => (
+    <label className="block text-sm">
+        {label}: {format(value)}
+        <input
+            type="range"
+            className="block w-full"
+            min={range.min}
+            max={range.max}
+            step={range.step}
+            value={value}
+            onChange={(e) => onChange(Number(e.currentTarget.value))}
+        />
+    </label>
+);
+
+export const TypographySettings = ({ typography, font, onChange }) => {
+    const update = (changes) => onChange({ ...typography, ...changes });
+
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <Button variant="outline">Typography</Button>
+            </PopoverTrigger>
+            <PopoverContent className="flex w-72 flex-col gap-3">
+                <div className="text-sm">
+                    Weight
+                    <div className="flex flex-wrap gap-2 pt-1">
+                        {Object.entries(FONT_WEIGHTS).map(([weight, label]) => (
+                            <Toggle
+                                key={weight}
+                                variant="outline"
+                                size="sm"
+                                pressed={
+                                    typography.fontWeight === Number(weight)
+                                }
+                                onPressedChange={() =>
+                                    update({ fontWeight: Number(weight) })
+                                }
+                            >
+                                {label}
+                            </Toggle>
+                        ))}
+                    </div>
+                </div>
+                <RangeSetting
+                    label="Line height"
+                    range={LINE_HEIGHT_RANGE}
+                    value={typography.lineHeight}
+                    format={(value) => `${value.toFixed(2)}×`}
+                    onChange={(lineHeight) => update({ lineHeight })}
+                />
+                <RangeSetting
+                    label="Letter spacing"
+                    range={LETTER_SPACING_RANGE}
+                    value={typography.letterSpacing}
+                    format={(value) => `${value.toFixed(2)} em`}
+                    onChange={(letterSpacing) => update({ letterSpacing })}
+                />
+                <label className="block text-sm">
+                    <Checkbox
+                        className="align-middle"
+                        checked={typography.ligatures}
+                        onCheckedChange={(checked) =>
+                            update({ ligatures: checked === true })
+                        }
+                    />
+                    &nbsp;Programming ligatures
+                </label>
+                <p
+                    className="rounded-sm border px-2 py-1 text-sm whitespace-pre"
+                    style={{
+                        fontFamily: `"${font}", monospace`,
+                        ...typographyStyle(typography),
+                    }}
+                >
+                    {'if (a != b && c >= d) {\n    return x => x;\n}'}
+                </p>
+                <p className="text-muted-foreground text-xs">
+                    Fonts without a weight show the nearest one they have. None
+                    of the bundled fonts have ligatures, so that setting only
+                    matters for fonts you load. PDF export prints light and
+                    medium weights as regular.
+                </p>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default TypographySettings;
@@ -0,0 +1,86 @@
+import { Button } from '@/components/ui/button';
+import { Checkbox } from '@/components/ui/checkbox';
+import {
+    Popover,
+    PopoverContent,
+    PopoverTrigger,
+} from '@/components/ui/popover';
+import { Toggle } from '@/components/ui/toggle';
+
+import { INDENT_CONVERSIONS, TAB_WIDTHS } from '../whitespace.js';
+
+const FLAG_LABELS = {
+    trimTrailing: 'Trim trailing whitespace',
+    collapseBlankLines: 'Collapse runs of blank lines',
+    normalizeLineEndings: 'Normalise line endings',
+    showWhitespace: 'Show whitespace (· and →)',
+};
+
+export const WhitespaceSettings = ({ whitespace, onChange }) => {
+    const update = (changes) => onChange({ ...whitespace, ...changes });
+
+    return (
+        <Popover>
+            <PopoverTrigger asChild>
+                <Button variant="outline">Whitespace</Button>
+            </PopoverTrigger>
+            <PopoverContent className="flex w-72 flex-col gap-3">
+                <div className="text-sm">
+                    Tab width
+                    <div className="flex gap-2 pt-1">
+                        {TAB_WIDTHS.map((width) => (
+                            <Toggle
+                                key={width}
+                                variant="outline"
+                                size="sm"
+                                pressed={whitespace.tabWidth === width}
+                                onPressedChange={() =>
+                                    update({ tabWidth: width })
+                                }
+                            >
+                                {width}
+                            </Toggle>
+                        ))}
+                    </div>
+                </div>
+                <div className="text-sm">
+                    Indentation
+                    <div className="flex flex-wrap gap-2 pt-1">
+                        {Object.entries(INDENT_CONVERSIONS).map(
+                            ([indent, label]) => (
+                                <Toggle
+                                    key={indent}
+                                    variant="outline"
+                                    size="sm"
+                                    pressed={whitespace.indent === indent}
+                                    onPressedChange={() => update({ indent })}
+                                >
+                                    {label}
+                                </Toggle>
+                            ),
+                        )}
+                    </div>
+                </div>
+                {Object.entries(FLAG_LABELS).map(([flag, label]) => (
+                    <label key={flag} className="block text-sm">
+                        <Checkbox
+                            className="align-middle"
+                            checked={whitespace[flag]}
+                            onCheckedChange={(checked) =>
+                                update({ [flag]: checked === true })
+                            }
+                        />
+                        &nbsp;{label}
+                    </label>
+                ))}
+                <p className="text-muted-foreground text-xs">
+                    Applied when printing only; the code you edit is left as it
+                    is. Printed lines keep their numbers from the editor, so
+                    collapsed blank lines leave a gap in the numbering.
+                </p>
+            </PopoverContent>
+        </Popover>
+    );
+};
+
+export default WhitespaceSettings;
@@ -0,0 +1,266 @@
+import { useRef, useState } from 'react';
+import { Copy, Download, FolderOpen, X } from 'lucide-react';
+import { cn } from '@/lib/utils';
+import { Button } from '@/components/ui/button';
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+    DialogTrigger,
+} from '@/components/ui/dialog';
+import { EditableName } from './EditableName.jsx';
+
+import {
+    deleteWorkspace,
+    duplicateWorkspace,
+    listWorkspaces,
+    loadWorkspace,
+    parseWorkspaceJson,
+    renameWorkspace,
+    saveWorkspace,
+    serializeWorkspace,
+} from '../workspaceStore.js';
+import { readTextFile } from '../fileLoading.js';
+import { downloadTextFile } from '../download.js';
+import { showToast } from '../toast.js';
+
+const exportFileName = (name) =>
+    `${name.replace(/[\\/:*?"<>|]+/g, '-').trim() || 'workspace'}.json`;
+
+export const WorkspaceManager = ({
+    workspace,
+    files,
+    isModified,
+    onOpen,
+    onSaved,
+    onRenamed,
+    onDeleted,
+}) => {
+    const [open, setOpen] = useState(false);
+    const [workspaces, setWorkspaces] = useState([]);
+    const [newName, setNewName] = useState('');
+    const importInput = useRef(null);
+
+    // Storage failures (private browsing, quota) are reported the same way
+    // for every action.
+    const run = async (action, failure) => {
+        try {
+            await action();
+            setWorkspaces(await listWorkspaces());
+        } catch (err) {
+            console.error('Workspace error', err);
+            showToast(failure, true);
+        }
+    };
+
+    const handleOpenChange = (isOpen) => {
+        setOpen(isOpen);
+        if (isOpen) {
+            setNewName('');
+            run(() => {}, 'Could not list saved workspaces.');
+        }
+    };
+
+    const handleSave = () =>
+        run(async () => {
+            onSaved(await saveWorkspace({ ...workspace, files }));
+            showToast(`Saved ${workspace.name}`);
+        }, 'Could not save the workspace.');
+
+    const handleSaveAs = () => {
+        const name = newName.trim();
+        if (!name) {
+            showToast('Give the workspace a name first.', true);
+            return;
+        }
+        run(async () => {
+            onSaved(await saveWorkspace({ name, files }));
+            setNewName('');
+            showToast(`Saved ${name}`);
+        }, 'Could not save the workspace.');
+    };
+
+    const handleOpen = (id) =>
+        run(async () => {
+            const loaded = await loadWorkspace(id);
+            if (!loaded?.files.length) throw new Error('Workspace is empty');
+            onOpen(loaded);
+            setOpen(false);
+        }, 'Could not open the workspace.');
+
+    const handleExport = (id) =>
+        run(async () => {
+            const loaded = await loadWorkspace(id);
+            downloadTextFile(
+                exportFileName(loaded.name),
+                serializeWorkspace(loaded),
+            );
+        }, 'Could not export the workspace.');
+
+    const handleImport = async (e) => {
+        const [file] = e.currentTarget.files;
+        e.currentTarget.value = '';
+        if (!file) return;
+        try {
+            const imported = parseWorkspaceJson(await readTextFile(file));
+            const saved = await saveWorkspace(imported);
+            setWorkspaces(await listWorkspaces());
+            showToast(`Imported ${saved.name}`);
+        } catch (err) {
+            console.error('Workspace import error', err);
+            showToast(`Could not import ${file.name}: ${err.message}`, true);
+        }
+    };
+
+    return (
+        <Dialog open={open} onOpenChange={handleOpenChange}>
+            <DialogTrigger asChild>
+                <Button variant="outline">
+                    {workspace ? workspace.name : 'Workspaces'}
+                    {isModified ? ' •' : ''}
+                </Button>
+            </DialogTrigger>
+            <DialogContent className="max-h-[90vh] max-w-2xl overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle>Workspaces</DialogTitle>
+                    <DialogDescription>
+                        Your current files are saved automatically in this
+                        browser. Save them as a named workspace to keep several
+                        sets of files, or export one to move it elsewhere.
+                    </DialogDescription>
+                </DialogHeader>
+                <div className="flex flex-wrap items-center gap-2 text-sm">
+                    {workspace ? (
+                        <Button onClick={handleSave} disabled={!isModified}>
+                            Save {workspace.name}
+                        </Button>
+                    ) : null}
+                    <input
+                        className="bg-background grow rounded-sm border px-2 py-1"
+                        placeholder="e.g. Period 3 – Lab 5"
+                        value={newName}
+                        onChange={(e) => setNewName(e.currentTarget.value)}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') handleSaveAs();
+                        }}
+                    />
+                    <Button variant="outline" onClick={handleSaveAs}>
+                        Save as new
+                    </Button>
+                </div>
+                <ol className="flex flex-col text-sm">
+                    {workspaces.map((saved) => (
+                        <li
+                            key={saved.id}
+                            className={cn(
+                                'flex items-center gap-2 rounded-sm px-2 py-1 hover:bg-gray-100',
+                                saved.id === workspace?.id
+                                    ? 'font-semibold'
+                                    : '',
+                            )}
+                        >
+                            <EditableName
+                                name={saved.name}
+                                onRename={(name) =>
+                                    run(async () => {
+                                        await renameWorkspace(saved.id, name);
+                                        onRenamed(saved.id, name);
+                                    }, 'Could not rename the workspace.')
+                                }
+                            />
+                            <span className="text-muted-foreground text-xs whitespace-nowrap">
+                                {saved.fileCount} file(s),{' '}
+                                {new Date(saved.updatedAt).toLocaleString()}
+                            </span>
+                            <button
+                                className="opacity-60 hover:opacity-100"
+                                title="Open"
+                                onClick={() => handleOpen(saved.id)}
+                            >
+                                <FolderOpen className="size-4" />
+                            </button>
+                            <button
+                                className="opacity-60 hover:opacity-100"
+                                title="Duplicate"
+                                onClick={() =>
+                                    run(
+                                        () =>
+                                            duplicateWorkspace(
+                                                saved.id,
+                                                `${saved.name} (copy)`,
+                                            ),
+                                        'Could not duplicate the workspace.',
+                                    )
+                                }
+                            >
+                                <Copy className="size-4" />
+                            </button>
+                            <button
+                                className="opacity-60 hover:opacity-100"
+                                title="Export JSON"
+                                onClick={() => handleExport(saved.id)}
+                            >
+                                <Download className="size-4" />
+                            </button>
+                            <button
+                                className="opacity-60 hover:opacity-100"
+                                title="Delete"
+                                onClick={() => {
+                                    if (
+                                        !window.confirm(`Delete ${saved.name}?`)
+                                    )
+                                        return;
+                                    run(async () => {
+                                        await deleteWorkspace(saved.id);
+                                        onDeleted(saved.id);
+                                    }, 'Could not delete the workspace.');
+                                }}
+                            >
+                                <X className="size-4" />
+                            </button>
+                        </li>
+                    ))}
+                    {workspaces.length ? null : (
+                        <li className="text-muted-foreground px-2 py-1">
+                            No saved workspaces yet.
+                        </li>
+                    )}
+                </ol>
+                <DialogFooter className="gap-2">
+                    <input
+                        ref={importInput}
+                        type="file"
+                        accept=".json,application/json"
+                        className="hidden"
+                        onChange={handleImport}
+                    />
+                    <Button
+                        variant="outline"
+                        onClick={() => importInput.current.click()}
+                    >
+                        Import JSON
+                    </Button>
+                    <Button
+                        variant="outline"
+                        onClick={() =>
+                            downloadTextFile(
+                                exportFileName(workspace?.name || 'workspace'),
+                                serializeWorkspace({
+                                    name: workspace?.name || 'Workspace',
+                                    files,
+                                }),
+                            )
+                        }
+                    >
+                        Export current
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+};
+
+export default WorkspaceManager;
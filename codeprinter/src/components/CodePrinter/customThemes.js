@@ -0,0 +1,141 @@
+// User-defined hljs themes: an editable model (colours plus bold/italic per
+// token class), conversion to the style objects SyntaxHighlighter takes, and
+// the JSON format used to share themes between machines.
+
+import { parseCssColor, toHexColor } from './colors.js';
+
+const THEME_FILE_TYPE = 'codeprinter-theme';
+const THEME_FILE_VERSION = 1;
+
+const DEFAULT_BACKGROUND = '#ffffff';
+const DEFAULT_TEXT_COLOR = '#212529';
+
+/** hljs token classes the editor exposes, with a label for each. */
+export const THEME_TOKEN_CLASSES = Object.freeze({
+    'hljs-keyword': 'Keyword',
+    'hljs-built_in': 'Built-in',
+    'hljs-type': 'Type',
+    'hljs-literal': 'Literal',
+    'hljs-number': 'Number',
+    'hljs-string': 'String',
+    'hljs-regexp': 'Regular expression',
+    'hljs-symbol': 'Symbol',
+    'hljs-comment': 'Comment',
+    'hljs-doctag': 'Doc tag',
+    'hljs-meta': 'Preprocessor / meta',
+    'hljs-title': 'Title (class, function)',
+    'hljs-params': 'Parameters',
+    'hljs-variable': 'Variable',
+    'hljs-attr': 'Attribute',
+    'hljs-tag': 'Tag',
+    'hljs-name': 'Tag name',
+    'hljs-selector-tag': 'Selector',
+    'hljs-addition': 'Addition',
+    'hljs-deletion': 'Deletion',
+});
+
+function hexOr(value, fallback) {
+    const rgb = parseCssColor(value);
+    return rgb ? toHexColor(rgb) : fallback;
+}
+
+/**
+ * Builds an editable theme from an hljs style object, so built-in themes
+ * can be used as a starting point.
+ * @param {string} name
+ * @param {Record<string, object>|null} style
+ * @returns {{name: string, background: string, color: string, tokens: Record<string, {color: string, bold: boolean, italic: boolean}>}}
+ */
+export function themeFromStyle(name, style) {
+    const background = hexOr(style?.hljs?.background, DEFAULT_BACKGROUND);
+    const color = hexOr(style?.hljs?.color, DEFAULT_TEXT_COLOR);
+    const tokens = {};
+    Object.keys(THEME_TOKEN_CLASSES).forEach((className) => {
+        const entry = style?.[className] || {};
+        tokens[className] = {
+            color: hexOr(entry.color, color),
+            bold:
+                entry.fontWeight === 'bold' || Number(entry.fontWeight) >= 600,
+            italic: entry.fontStyle === 'italic',
+        };
+    });
+    return { name, background, color, tokens };
+}
+
+/**
+ * Converts an editable theme to the style object SyntaxHighlighter and PDF
+ * export take.
+ * @param {ReturnType<typeof themeFromStyle>} theme
+ * @returns {Record<string, object>}
+ */
+export function customThemeToStyle(theme) {
+    const style = {
+        hljs: {
+            display: 'block',
+            overflowX: 'auto',
+            padding: '0.5em',
+            color: theme.color,
+            background: theme.background,
+        },
+    };
+    Object.entries(theme.tokens).forEach(([className, token]) => {
+        style[className] = {
+            color: token.color,
+            fontWeight: token.bold ? 'bold' : 'normal',
+            fontStyle: token.italic ? 'italic' : 'normal',
+        };
+    });
+    return style;
+}
+
+/**
+ * Serialises a theme for export.
+ * @param {ReturnType<typeof themeFromStyle>} theme
+ * @returns {string}
+ */
+export function serializeTheme(theme) {
+    return JSON.stringify(
+        {
+            type: THEME_FILE_TYPE,
+            version: THEME_FILE_VERSION,
+            name: theme.name,
+            background: theme.background,
+            color: theme.color,
+            tokens: theme.tokens,
+        },
+        null,
+        2,
+    );
+}
+
+/**
+ * Reads a theme exported by serializeTheme. Unknown token classes are
+ * dropped and colours are normalised to #rrggbb.
+ * @param {string} text
+ * @returns {ReturnType<typeof themeFromStyle>}
+ */
+export function parseThemeJson(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== THEME_FILE_TYPE) {
+        throw new Error('Not a Code Printer theme file');
+    }
+    if (data.version > THEME_FILE_VERSION) {
+        throw new Error(`Unsupported theme version ${data.version}`);
+    }
+    if (typeof data.name !== 'string' || !data.name.trim()) {
+        throw new Error('Theme has no name');
+    }
+
+    const theme = themeFromStyle(data.name.trim(), null);
+    theme.background = hexOr(data.background, theme.background);
+    theme.color = hexOr(data.color, theme.color);
+    Object.keys(theme.tokens).forEach((className) => {
+        const token = data.tokens?.[className];
+        theme.tokens[className] = {
+            color: hexOr(token?.color, theme.color),
+            bold: token?.bold === true,
+            italic: token?.italic === true,
+        };
+    });
+    return theme;
+}
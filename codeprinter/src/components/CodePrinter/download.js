@@ -0,0 +1,17 @@
+// Saves generated text, such as exported themes and workspaces, as a file
+// download.
+
+/**
+ * Downloads text as a file.
+ * @param {string} fileName
+ * @param {string} text
+ * @param {string} [type]
+ */
+export function downloadTextFile(fileName, text, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,211 @@
+// Reads dropped or picked source files (and whole folders) into CodePrinter
+// file entries, applying the include/exclude glob filters along the way.
+
+export const MAX_SOURCE_FILE_BYTES = 2 * 1024 * 1024;
+export const DEFAULT_EXCLUDE_GLOBS = '.git/**, node_modules/**, *.class, *.jar';
+
+/**
+ * Reads a File as UTF-8 text.
+ * @param {File|{name: string, text: () => Promise<string>}} file a File, or
+ *   a lazily read entry such as one from a zip archive
+ * @returns {Promise<string>}
+ */
+export function readTextFile(file) {
+    if (!(file instanceof Blob)) return file.text();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = (e) => resolve(e.target.result);
+        reader.onerror = () =>
+            reject(reader.error || new Error(`Could not read ${file.name}`));
+        reader.readAsText(file);
+    });
+}
+
+/**
+ * Converts a glob such as `src/**\/*.java` or `*.{js,ts}` to a RegExp.
+ * Globs without a slash match against the file's base name, like .gitignore.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+export function globToRegExp(glob) {
+    const pattern = glob.trim().replace(/^\.?\//, '');
+    let source = '';
+    let inGroup = false;
+
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                const slashFollows = pattern[i + 2] === '/';
+                source += slashFollows ? '(?:.*/)?' : '.*';
+                i += slashFollows ? 2 : 1;
+            } else {
+                source += '[^/]*';
+            }
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '{') {
+            inGroup = true;
+            source += '(?:';
+        } else if (char === '}' && inGroup) {
+            inGroup = false;
+            source += ')';
+        } else if (char === ',' && inGroup) {
+            source += '|';
+        } else {
+            source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+        }
+    }
+
+    const anchor = pattern.includes('/') ? '^' : '(?:^|/)';
+    // A pattern naming a folder also matches everything inside it.
+    return new RegExp(`${anchor}${source}(?:/.*)?$`, 'i');
+}
+
+/**
+ * Splits a comma or newline separated list of globs.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function parseGlobList(text) {
+    if (typeof text !== 'string') return [];
+    const globs = [];
+    let current = '';
+    let depth = 0;
+    for (const char of text) {
+        if (char === '{') depth++;
+        if (char === '}') depth = Math.max(depth - 1, 0);
+        if ((char === ',' && depth === 0) || char === '\n') {
+            globs.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    globs.push(current);
+    return globs.map((glob) => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Builds a predicate that accepts paths matching any include glob (or all
+ * paths when none are given) and no exclude glob.
+ * @param {{include?: string, exclude?: string}} filters
+ * @returns {(path: string) => boolean}
+ */
+export function createFileFilter({ include = '', exclude = '' } = {}) {
+    const includes = parseGlobList(include).map(globToRegExp);
+    const excludes = parseGlobList(exclude).map(globToRegExp);
+
+    return (path) => {
+        const normalized = path.replace(/\\/g, '/');
+        if (excludes.some((re) => re.test(normalized))) return false;
+        return (
+            includes.length === 0 || includes.some((re) => re.test(normalized))
+        );
+    };
+}
+
+function readDirectoryEntries(reader) {
+    return new Promise((resolve, reject) =>
+        reader.readEntries(resolve, reject),
+    );
+}
+
+async function collectEntry(entry, results) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) =>
+            entry.file(resolve, reject),
+        );
+        results.push({ file, path: entry.fullPath.replace(/^\//, '') });
+        return;
+    }
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        // readEntries returns results in batches until an empty batch.
+        let batch = await readDirectoryEntries(reader);
+        while (batch.length) {
+            for (const child of batch) await collectEntry(child, results);
+            batch = await readDirectoryEntries(reader);
+        }
+    }
+}
+
+/**
+ * Collects every file from a drop, descending into dropped folders.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{file: File, path: string}>>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+    const items = Array.from(dataTransfer.items || []);
+    const entries = items
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.webkitGetAsEntry && item.webkitGetAsEntry())
+        .filter(Boolean);
+
+    if (!entries.length) {
+        return Array.from(dataTransfer.files || []).map((file) => ({
+            file,
+            path: file.name,
+        }));
+    }
+
+    const results = [];
+    for (const entry of entries) await collectEntry(entry, results);
+    return results;
+}
+
+/**
+ * Wraps files from an <input type="file">, keeping folder-relative paths
+ * when the input used `webkitdirectory`.
+ * @param {FileList|File[]} fileList
+ * @returns {Array<{file: File, path: string}>}
+ */
+export function collectPickedFiles(fileList) {
+    return Array.from(fileList || []).map((file) => ({
+        file,
+        path: file.webkitRelativePath || file.name,
+    }));
+}
+
+/**
+ * Reads the accepted files as text, sorted by path.
+ * @param {Array<{file: File, path: string}>} sources
+ * @param {{filter?: (path: string) => boolean, maxBytes?: number}} [options]
+ * @returns {Promise<{loaded: Array<{name: string, code: string}>, skipped: {filtered: number, binary: number, tooLarge: number, unreadable: number}}>}
+ */
+export async function loadSourceFiles(
+    sources,
+    { filter = () => true, maxBytes = MAX_SOURCE_FILE_BYTES } = {},
+) {
+    const skipped = { filtered: 0, binary: 0, tooLarge: 0, unreadable: 0 };
+    const accepted = sources
+        .filter(({ path }) => {
+            if (filter(path)) return true;
+            skipped.filtered += 1;
+            return false;
+        })
+        .sort((a, b) =>
+            a.path.localeCompare(b.path, undefined, { numeric: true }),
+        );
+
+    const loaded = [];
+    for (const { file, path } of accepted) {
+        if (file.size > maxBytes) {
+            skipped.tooLarge += 1;
+            continue;
+        }
+        try {
+            const code = await readTextFile(file);
+            if (code.includes('\u0000')) {
+                skipped.binary += 1;
+                continue;
+            }
+            loaded.push({ name: path, code });
+        } catch (err) {
+            console.warn(`Failed to read ${path}`, err);
+            skipped.unreadable += 1;
+        }
+    }
+
+    return { loaded, skipped };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_EXCLUDE_GLOBS,
+    createFileFilter,
+    globToRegExp,
+    parseGlobList,
+} from './fileLoading.js';
+
+describe('globToRegExp', () => {
+    it('matches globs without a slash against the base name', () => {
+        const re = globToRegExp('*.java');
+        expect(re.test('Main.java')).toBe(true);
+        expect(re.test('src/app/Main.java')).toBe(true);
+        expect(re.test('Main.javax')).toBe(false);
+    });
+
+    it('anchors globs with a slash at the root', () => {
+        const re = globToRegExp('./src/*.js');
+        expect(re.test('src/a.js')).toBe(true);
+        expect(re.test('src/lib/a.js')).toBe(false);
+        expect(re.test('other/src/a.js')).toBe(false);
+    });
+
+    it('supports **, ? and brace groups', () => {
+        expect(globToRegExp('src/**/*.{js,ts}').test('src/a/b/c.ts')).toBe(
+            true,
+        );
+        expect(globToRegExp('src/**/*.{js,ts}').test('src/c.js')).toBe(true);
+        expect(globToRegExp('file?.txt').test('file1.txt')).toBe(true);
+        expect(globToRegExp('file?.txt').test('file10.txt')).toBe(false);
+    });
+
+    it('matches everything inside a named folder', () => {
+        expect(globToRegExp('node_modules').test('a/node_modules/x.js')).toBe(
+            true,
+        );
+    });
+
+    it('escapes regular expression characters', () => {
+        expect(globToRegExp('a+b.(1).js').test('a+b.(1).js')).toBe(true);
+        expect(globToRegExp('a.js').test('abjs')).toBe(false);
+    });
+});
+
+describe('parseGlobList', () => {
+    it('splits on commas and newlines outside brace groups', () => {
+        expect(parseGlobList('*.{js,ts}, src/**\n\n lib ')).toEqual([
+            '*.{js,ts}',
+            'src/**',
+            'lib',
+        ]);
+        expect(parseGlobList(null)).toEqual([]);
+    });
+});
+
+describe('createFileFilter', () => {
+    it('applies includes and the default excludes', () => {
+        const accepts = createFileFilter({
+            include: '*.java',
+            exclude: DEFAULT_EXCLUDE_GLOBS,
+        });
+        expect(accepts('src/Main.java')).toBe(true);
+        expect(accepts('src\\Main.java')).toBe(true);
+        expect(accepts('README.md')).toBe(false);
+        expect(accepts('.git/hooks/x.java')).toBe(false);
+        expect(accepts('node_modules/a/B.java')).toBe(false);
+    });
+
+    it('accepts everything without filters', () => {
+        expect(createFileFilter()('any/file.txt')).toBe(true);
+    });
+});
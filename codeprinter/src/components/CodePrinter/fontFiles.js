@@ -0,0 +1,102 @@
+// Fonts loaded from .ttf or .woff2 files, for typefaces that are not bundled
+// such as a school-licensed or dyslexia-friendly monospace. Files are kept in
+// IndexedDB and added to the page again on every visit; TrueType files are
+// also embedded in exported PDFs.
+
+import { registerPdfFont } from './pdfExport.js';
+import {
+    deleteFontFile,
+    listFontFiles,
+    saveFontFile,
+} from './workspaceStore.js';
+
+export const FONT_FILE_TYPES = Object.freeze(['.ttf', '.woff2']);
+
+/** FontFaces added from files, by family, so they can be removed again. */
+const loadedFaces = new Map();
+
+/**
+ * Family name for a font file, e.g. `Comic-Mono_Regular.ttf` → `Comic Mono`.
+ * @param {string} fileName
+ */
+export function fontFamilyFromFileName(fileName) {
+    const family = fileName
+        .replace(/\.[^.]*$/, '')
+        .replace(/[-_ ](regular|normal|book)$/i, '')
+        .replace(/[-_]+/g, ' ')
+        .trim();
+    return family || 'Custom font';
+}
+
+async function addFontFace({ family, fileName, data }) {
+    // FontFace may take ownership of the buffer, so give it a copy and keep
+    // the original for the PDF export.
+    const face = new FontFace(family, data.slice(0));
+    await face.load();
+    if (loadedFaces.has(family)) document.fonts.delete(loadedFaces.get(family));
+    document.fonts.add(face);
+    loadedFaces.set(family, face);
+    if (/\.ttf$/i.test(fileName)) {
+        registerPdfFont(family, async () =>
+            loadedFaces.has(family) ? { normal: data } : null,
+        );
+    }
+}
+
+/**
+ * Loads a font file into the page and remembers it for later visits.
+ * @param {File} file
+ * @returns {Promise<string>} the family the font was added as
+ * @throws {Error} when the file is not a font the browser can read
+ */
+export async function addFontFile(file) {
+    const name = file.name.toLowerCase();
+    if (!FONT_FILE_TYPES.some((type) => name.endsWith(type))) {
+        throw new Error(`${file.name} is not a .ttf or .woff2 file`);
+    }
+    const font = {
+        family: fontFamilyFromFileName(file.name),
+        fileName: file.name,
+        data: await file.arrayBuffer(),
+    };
+    try {
+        await addFontFace(font);
+    } catch (err) {
+        throw new Error(`${file.name} could not be read as a font`, {
+            cause: err,
+        });
+    }
+    await saveFontFile(font);
+    return font.family;
+}
+
+/**
+ * Adds every remembered font file to the page.
+ * @returns {Promise<string[]>} the families that loaded
+ */
+export async function restoreFontFiles() {
+    const fonts = await listFontFiles();
+    const results = await Promise.allSettled(fonts.map(addFontFace));
+    results.forEach((result, index) => {
+        if (result.status === 'rejected') {
+            console.error(
+                `Could not load ${fonts[index].fileName}`,
+                result.reason,
+            );
+        }
+    });
+    return fonts
+        .filter((font, index) => results[index].status === 'fulfilled')
+        .map((font) => font.family);
+}
+
+/**
+ * Removes a font loaded from a file and forgets it.
+ * @param {string} family
+ */
+export async function removeFontFile(family) {
+    await deleteFontFile(family);
+    const face = loadedFaces.get(family);
+    if (face) document.fonts.delete(face);
+    loadedFaces.delete(family);
+}
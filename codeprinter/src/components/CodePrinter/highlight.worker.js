@@ -0,0 +1,11 @@
+// Worker side of highlightWorker.js: highlights one file per message, so
+// tokenising a very large file never blocks typing.
+
+import { highlightTree } from './highlightTokens.js';
+
+self.onmessage = ({ data }) => {
+    self.postMessage({
+        id: data.id,
+        tree: highlightTree(data.code, data.language),
+    });
+};
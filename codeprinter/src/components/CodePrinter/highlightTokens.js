@@ -0,0 +1,80 @@
+// Produces the same highlight.js token stream SyntaxHighlighter renders, split
+// into lines, for consumers that draw or transform code outside of React.
+
+import lowlight from 'lowlight';
+
+/**
+ * Highlights code and returns the raw lowlight tree (hast nodes).
+ * Unknown languages and plaintext come back as a single text node.
+ * @param {string} code
+ * @param {string} language
+ * @returns {Array<object>}
+ */
+export function highlightTree(code, language) {
+    if (language && language !== 'plaintext') {
+        try {
+            if (lowlight.listLanguages().includes(language)) {
+                return lowlight.highlight(language, code).value;
+            }
+        } catch (err) {
+            console.warn(`Could not highlight ${language}`, err);
+        }
+    }
+    return [{ type: 'text', value: code }];
+}
+
+/**
+ * Splits a highlight tree into lines of tokens.
+ * @param {Array<object>} tree
+ * @returns {Array<Array<{text: string, classNames: string[]}>>}
+ */
+export function treeToLines(tree) {
+    const lines = [[]];
+
+    const walk = (nodes, classNames) => {
+        nodes.forEach((node) => {
+            if (node.type === 'text') {
+                node.value.split('\n').forEach((text, i) => {
+                    if (i > 0) lines.push([]);
+                    if (text)
+                        lines[lines.length - 1].push({ text, classNames });
+                });
+            } else if (node.children) {
+                walk(
+                    node.children,
+                    classNames.concat(node.properties?.className || []),
+                );
+            }
+        });
+    };
+    walk(tree, []);
+    return lines;
+}
+
+/**
+ * Tokenises code into lines of highlighted tokens.
+ * @param {string} code
+ * @param {string} language
+ */
+export function tokenizeLines(code, language) {
+    return treeToLines(highlightTree(code, language));
+}
+
+/**
+ * Resolves the inline style an hljs theme gives a token, the same way
+ * SyntaxHighlighter merges the theme entry for each of the token's classes.
+ * @param {Record<string, object>|null} theme
+ * @param {string[]} classNames
+ * @returns {{color?: string, backgroundColor?: string, fontWeight?: string, fontStyle?: string, textDecoration?: string}}
+ */
+export function resolveTokenStyle(theme, classNames) {
+    if (!theme) return {};
+    const style = { color: theme.hljs?.color };
+    classNames.forEach((className) => {
+        Object.assign(style, theme[className]);
+    });
+    if (style.background && !style.backgroundColor) {
+        style.backgroundColor = style.background;
+    }
+    return style;
+}
@@ -0,0 +1,153 @@
+// Highlights code in a Web Worker and caches the trees, so pasting a file of
+// tens of thousands of lines keeps the editor responsive. Browsers without
+// module workers highlight on the main thread instead.
+
+import { useEffect, useMemo, useState } from 'react';
+import { highlightTree } from './highlightTokens.js';
+
+/** Highlighted files kept at the least, most recently used last. */
+const MIN_CACHE_SIZE = 64;
+/**
+ * Trees one file of a job can need: its code as edited and as printed, and
+ * the same for the previous version it is diffed against.
+ */
+const TREES_PER_FILE = 4;
+
+const cache = new Map();
+let cacheSize = MIN_CACHE_SIZE;
+const inFlight = new Map();
+const waiting = new Map();
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 0;
+
+const cacheKey = (code, language) => `${language}\n${code}`;
+
+const remember = (key, tree) => {
+    cache.delete(key);
+    cache.set(key, tree);
+    if (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+    return tree;
+};
+
+/**
+ * Makes room for every file of a job, so highlighting a large batch for
+ * printing does not evict the files highlighted before it.
+ * @param {number} fileCount
+ */
+export function fitHighlightCache(fileCount) {
+    cacheSize = Math.max(MIN_CACHE_SIZE, fileCount * TREES_PER_FILE);
+    while (cache.size > cacheSize) cache.delete(cache.keys().next().value);
+}
+
+const startWorker = () => {
+    if (worker || workerFailed) return worker;
+    try {
+        worker = new Worker(new URL('./highlight.worker.js', import.meta.url), {
+            type: 'module',
+        });
+    } catch (err) {
+        console.warn('Highlighting on the main thread', err);
+        workerFailed = true;
+        return null;
+    }
+    worker.onmessage = ({ data }) => {
+        const request = waiting.get(data.id);
+        waiting.delete(data.id);
+        request?.resolve(data.tree);
+    };
+    worker.onerror = (err) => {
+        console.warn('Highlighting worker failed; using the main thread', err);
+        workerFailed = true;
+        worker.terminate();
+        worker = null;
+        const requests = Array.from(waiting.values());
+        waiting.clear();
+        requests.forEach((request) => request.fallBack());
+    };
+    return worker;
+};
+
+/**
+ * The highlight tree for code, if it has already been highlighted.
+ * @param {string} code
+ * @param {string} language
+ * @returns {Array<object>|null}
+ */
+export function cachedHighlight(code, language) {
+    return cache.get(cacheKey(code, language)) ?? null;
+}
+
+/**
+ * Highlights code on the main thread, using the cache when it can.
+ * @param {string} code
+ * @param {string} language
+ * @returns {Array<object>}
+ */
+export function highlightNow(code, language) {
+    const key = cacheKey(code, language);
+    return cache.get(key) ?? remember(key, highlightTree(code, language));
+}
+
+/**
+ * Highlights code in the worker. Files with the same code share one request.
+ * @param {string} code
+ * @param {string} language
+ * @returns {Promise<Array<object>>}
+ */
+export function highlightAsync(code, language) {
+    const key = cacheKey(code, language);
+    if (cache.has(key)) return Promise.resolve(cache.get(key));
+    if (inFlight.has(key)) return inFlight.get(key);
+    const target = startWorker();
+    if (!target) return Promise.resolve(highlightNow(code, language));
+
+    const request = new Promise((resolve) => {
+        const id = nextRequestId++;
+        waiting.set(id, {
+            resolve: (tree) => resolve(remember(key, tree)),
+            fallBack: () => resolve(highlightNow(code, language)),
+        });
+        target.postMessage({ id, code, language });
+    }).finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+    return request;
+}
+
+/**
+ * The highlight tree for code, highlighted in the worker. While a new version
+ * is being highlighted the last finished one is returned with its own code,
+ * so the two always match; `pending` says it is out of date. `sync`
+ * highlights on the spot instead, for renders that cannot wait, like printing.
+ * @param {string} code
+ * @param {string} language
+ * @param {{sync?: boolean}} [options]
+ * @returns {{tree: Array<object>, code: string, pending: boolean}}
+ */
+export function useHighlightTree(code, language, { sync = false } = {}) {
+    const [shown, setShown] = useState(null);
+    const plainText = useMemo(() => [{ type: 'text', value: code }], [code]);
+    const tree = sync
+        ? highlightNow(code, language)
+        : cachedHighlight(code, language);
+
+    useEffect(() => {
+        if (tree) {
+            setShown((current) =>
+                current?.tree === tree ? current : { tree, code },
+            );
+            return;
+        }
+        let cancelled = false;
+        highlightAsync(code, language).then((next) => {
+            if (!cancelled) setShown({ tree: next, code });
+        });
+        return () => {
+            cancelled = true;
+        };
+    }, [code, language, tree]);
+
+    if (tree) return { tree, code, pending: false };
+    if (shown) return { ...shown, pending: true };
+    return { tree: plainText, code, pending: true };
+}
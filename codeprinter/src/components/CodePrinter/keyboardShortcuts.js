@@ -0,0 +1,58 @@
+// Global keyboard shortcuts. `mod` is Cmd on macOS and Ctrl elsewhere.
+
+/** Shortcut keys for each command that has one, in help-dialog order. */
+export const SHORTCUTS = Object.freeze({
+    palette: { keys: ['mod', 'k'], label: 'Open the command palette' },
+    print: { keys: ['mod', 'p'], label: 'Print' },
+    preview: { keys: ['mod', 'shift', 'p'], label: 'Toggle preview' },
+    split: { keys: ['mod', '\\'], label: 'Toggle side-by-side preview' },
+    exportPdf: { keys: ['mod', 'shift', 'e'], label: 'Export PDF' },
+    lineNumbers: { keys: ['mod', 'shift', 'l'], label: 'Toggle line numbers' },
+    help: { keys: ['mod', '/'], label: 'Show keyboard shortcuts' },
+});
+
+/** Keys handled by the code editor while it has focus. */
+export const EDITOR_SHORTCUTS = Object.freeze({
+    find: { keys: ['mod', 'f'], label: 'Find and replace' },
+    indent: { keys: ['tab'], label: 'Indent (Esc first to leave the editor)' },
+    outdent: { keys: ['shift', 'tab'], label: 'Outdent' },
+});
+
+const isMac = () =>
+    typeof navigator !== 'undefined' &&
+    /mac|iphone|ipad/i.test(navigator.platform || navigator.userAgent);
+
+const MAC_KEY_LABELS = { mod: '⌘', shift: '⇧', tab: '⇥' };
+const KEY_LABELS = { mod: 'Ctrl', shift: 'Shift', tab: 'Tab' };
+
+/**
+ * Formats shortcut keys for display, e.g. `Ctrl+Shift+P` or `⌘⇧P`.
+ * @param {string[]} keys
+ */
+export function formatShortcut(keys) {
+    const mac = isMac();
+    const labels = keys.map(
+        (key) => (mac ? MAC_KEY_LABELS : KEY_LABELS)[key] || key.toUpperCase(),
+    );
+    return labels.join(mac ? '' : '+');
+}
+
+/**
+ * Finds the shortcut a key press triggers.
+ * @param {KeyboardEvent} event
+ * @param {typeof SHORTCUTS} [shortcuts] SHORTCUTS or EDITOR_SHORTCUTS; only
+ *   shortcuts with the `mod` key can match
+ * @returns {string|null} the shortcuts key, or null
+ */
+export function matchShortcut(event, shortcuts = SHORTCUTS) {
+    const mod = isMac() ? event.metaKey : event.ctrlKey;
+    if (!mod || event.altKey) return null;
+    const key = event.key.toLowerCase();
+    const match = Object.entries(shortcuts).find(
+        ([, { keys }]) =>
+            keys.includes('mod') &&
+            keys.includes('shift') === event.shiftKey &&
+            keys[keys.length - 1] === key,
+    );
+    return match ? match[0] : null;
+}
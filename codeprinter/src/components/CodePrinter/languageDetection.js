@@ -0,0 +1,234 @@
+// Maps source files to the highlight.js language names used by SyntaxHighlighter.
+
+/** File extensions (lower case, without the dot) and the language they imply. */
+export const EXTENSION_LANGUAGES = Object.freeze({
+    c: 'c',
+    h: 'c',
+    cc: 'cpp',
+    cpp: 'cpp',
+    cxx: 'cpp',
+    hpp: 'cpp',
+    hh: 'cpp',
+    ino: 'arduino',
+    cs: 'csharp',
+    java: 'java',
+    kt: 'kotlin',
+    kts: 'kotlin',
+    scala: 'scala',
+    groovy: 'groovy',
+    gradle: 'gradle',
+    js: 'javascript',
+    jsx: 'javascript',
+    mjs: 'javascript',
+    cjs: 'javascript',
+    ts: 'typescript',
+    tsx: 'typescript',
+    json: 'json',
+    html: 'xml',
+    htm: 'xml',
+    xml: 'xml',
+    svg: 'xml',
+    css: 'css',
+    scss: 'scss',
+    less: 'less',
+    py: 'python',
+    pyw: 'python',
+    rb: 'ruby',
+    php: 'php',
+    pl: 'perl',
+    pm: 'perl',
+    go: 'go',
+    rs: 'rust',
+    swift: 'swift',
+    dart: 'dart',
+    lua: 'lua',
+    r: 'r',
+    m: 'objectivec',
+    sql: 'sql',
+    sh: 'bash',
+    bash: 'bash',
+    zsh: 'bash',
+    ps1: 'powershell',
+    bat: 'dos',
+    cmd: 'dos',
+    md: 'markdown',
+    markdown: 'markdown',
+    yml: 'yaml',
+    yaml: 'yaml',
+    ini: 'ini',
+    toml: 'ini',
+    cfg: 'ini',
+    properties: 'properties',
+    hs: 'haskell',
+    ml: 'ocaml',
+    fs: 'fsharp',
+    ex: 'elixir',
+    exs: 'elixir',
+    erl: 'erlang',
+    clj: 'clojure',
+    lisp: 'lisp',
+    scm: 'scheme',
+    vb: 'vbnet',
+    asm: 'x86asm',
+    s: 'armasm',
+    v: 'verilog',
+    vhd: 'vhdl',
+    tex: 'latex',
+    pde: 'processing',
+    txt: 'plaintext',
+    log: 'plaintext',
+    csv: 'plaintext',
+});
+
+/** Whole file names that imply a language regardless of extension. */
+const FILE_NAME_LANGUAGES = Object.freeze({
+    dockerfile: 'dockerfile',
+    makefile: 'makefile',
+    'cmakelists.txt': 'cmake',
+});
+
+/**
+ * Looks up the language implied by a file name or path.
+ * @param {string} name
+ * @returns {string|null} the highlight.js language, or null when unknown
+ */
+export function languageForFileName(name) {
+    if (typeof name !== 'string') return null;
+    const baseName = name.split(/[\\/]/).pop().toLowerCase();
+    if (FILE_NAME_LANGUAGES[baseName]) return FILE_NAME_LANGUAGES[baseName];
+
+    const dot = baseName.lastIndexOf('.');
+    if (dot < 0) return null;
+    return EXTENSION_LANGUAGES[baseName.slice(dot + 1)] || null;
+}
+
+/** Language value meaning "work it out from the file name and contents". */
+export const AUTO_LANGUAGE = 'auto';
+
+/** Interpreters named on a `#!` line and the language they imply. */
+const SHEBANG_LANGUAGES = Object.freeze({
+    python: 'python',
+    python3: 'python',
+    node: 'javascript',
+    deno: 'typescript',
+    ruby: 'ruby',
+    perl: 'perl',
+    php: 'php',
+    bash: 'bash',
+    sh: 'bash',
+    zsh: 'bash',
+});
+
+/**
+ * Ordered content heuristics; the first matching rule wins, so the more
+ * specific patterns come before the ones that would also match loosely.
+ */
+const CONTENT_RULES = [
+    ['php', /^\s*<\?php/],
+    ['xml', /^\s*(<!doctype html|<html[\s>])/i],
+    [
+        'java',
+        /\b(public|private)\s+(static\s+)?(final\s+)?class\s+\w+|\bSystem\.out\.print|^\s*import\s+java\./m,
+    ],
+    ['csharp', /^\s*using\s+System(\.\w+)*;|\bConsole\.Write(Line)?\(/m],
+    [
+        'cpp',
+        /^\s*#include\s*<(iostream|vector|string|map)>|\bstd::|\bcout\s*<</m,
+    ],
+    ['c', /^\s*#include\s*[<"]\w+\.h[>"]|\bprintf\s*\(/m],
+    ['go', /^\s*package\s+main\b|^\s*func\s+\w+\s*\(/m],
+    ['rust', /^\s*fn\s+main\s*\(|\blet\s+mut\s+\w+|\bprintln!\(/m],
+    [
+        'typescript',
+        /^\s*(export\s+)?(interface|type)\s+\w+\s*[={<]|:\s*(string|number|boolean)\b[^:]*[;,)=]/m,
+    ],
+    [
+        'python',
+        /^\s*def\s+\w+\s*\(.*\)\s*(->\s*[\w[\], ]+)?:\s*$|^\s*(from\s+[\w.]+\s+)?import\s+[\w.]+(\s+as\s+\w+)?\s*$|^\s*if\s+__name__\s*==|^\s*print\s*\(.*\)\s*$|^\s*elif\s+.*:\s*$/m,
+    ],
+    [
+        'javascript',
+        /\b(const|let|var)\s+\w+\s*=|\bfunction\s*\w*\s*\(|=>\s*[{(]|\bconsole\.log\(|\bdocument\.\w+/,
+    ],
+    ['ruby', /^\s*(def|class|module)\s+\w+[^:{]*$[\s\S]*^\s*end\s*$/m],
+    [
+        'sql',
+        /^\s*(select\s+[\s\S]+\s+from|insert\s+into|create\s+table|update\s+\w+\s+set)\b/im,
+    ],
+    [
+        'css',
+        /^\s*[.#]?[\w-]+(\s*[,>+~]?\s*[.#]?[\w-]+)*\s*\{\s*$[\s\S]*^\s*[\w-]+\s*:\s*[^;]+;/m,
+    ],
+    ['bash', /^\s*(echo|export|cd|fi|done)\b|\$\{?\w+\}?/m],
+];
+
+/** Only the start of a pasted file is inspected to keep detection cheap. */
+const DETECTION_SAMPLE_LENGTH = 8000;
+
+/** Everything JSON allows outside strings: punctuation, numbers, literals. */
+const JSON_OUTSIDE_STRINGS = /^(?:[\s[\]{}:,+\-.\deE]|true|false|null)*$/;
+
+/**
+ * Whether text is JSON. Detection runs on every render, so a large file is
+ * not parsed: its sample only has to hold nothing but JSON tokens, ignoring
+ * a string or literal cut off at the end.
+ * @param {string} sample
+ * @param {boolean} complete whether the sample is the whole file
+ */
+function looksLikeJson(sample, complete) {
+    const trimmed = sample.trim();
+    if (!/^[[{]/.test(trimmed)) return false;
+    if (complete) {
+        try {
+            JSON.parse(trimmed);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+    const outsideStrings = trimmed
+        .replace(/"(?:[^"\\\n]|\\.)*"/g, '')
+        .replace(/"[^\n]*$|[a-z]+$/, '');
+    return JSON_OUTSIDE_STRINGS.test(outsideStrings);
+}
+
+/**
+ * Guesses the language of pasted text from its contents.
+ * @param {string} code
+ * @returns {string|null} the highlight.js language, or null when unsure
+ */
+export function detectLanguageFromContent(code) {
+    if (typeof code !== 'string' || !code.trim()) return null;
+    const sample = code.slice(0, DETECTION_SAMPLE_LENGTH);
+
+    const shebang = sample.match(/^#!\s*(\S+)(?:\s+(\S+))?/);
+    if (shebang) {
+        const program = shebang[1].split('/').pop();
+        const interpreter =
+            program === 'env' ? (shebang[2] || '').split('/').pop() : program;
+        const name = interpreter.replace(/[\d.]+$/, '');
+        return (
+            SHEBANG_LANGUAGES[interpreter] || SHEBANG_LANGUAGES[name] || null
+        );
+    }
+
+    if (looksLikeJson(sample, sample.length === code.length)) return 'json';
+
+    const rule = CONTENT_RULES.find(([, pattern]) => pattern.test(sample));
+    return rule ? rule[0] : null;
+}
+
+/**
+ * Resolves the language a file should be highlighted with: an explicit
+ * choice wins, then the file extension, then the content heuristics.
+ * @param {{name?: string, code?: string, language?: string}} file
+ * @returns {string}
+ */
+export function resolveLanguage(file) {
+    if (file.language && file.language !== AUTO_LANGUAGE) return file.language;
+    return (
+        languageForFileName(file.name) ||
+        detectLanguageFromContent(file.code) ||
+        'plaintext'
+    );
+}
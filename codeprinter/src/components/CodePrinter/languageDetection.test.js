@@ -0,0 +1,68 @@
+import { describe, expect, it } from 'vitest';
+import {
+    detectLanguageFromContent,
+    languageForFileName,
+    resolveLanguage,
+} from './languageDetection.js';
+
+describe('languageForFileName', () => {
+    it('maps extensions case-insensitively', () => {
+        expect(languageForFileName('src/Main.JAVA')).toBe('java');
+        expect(languageForFileName('notes')).toBeNull();
+        expect(languageForFileName(undefined)).toBeNull();
+    });
+});
+
+describe('detectLanguageFromContent', () => {
+    it('follows shebang lines', () => {
+        expect(detectLanguageFromContent('#!/usr/bin/env python3\nx')).toBe(
+            'python',
+        );
+        expect(detectLanguageFromContent('#!/bin/sh\necho hi')).toBe('bash');
+    });
+
+    it('recognises JSON only when it parses', () => {
+        expect(detectLanguageFromContent('{"a": [1, 2.5e3, true]}')).toBe(
+            'json',
+        );
+        expect(detectLanguageFromContent('{"a": 1,}')).not.toBe('json');
+    });
+
+    it('recognises JSON from the start of a long file', () => {
+        const entry = '{"name": "a \\"quoted\\" {value}", "ok": false},\n';
+        const code = `[\n${entry.repeat(400)}{"last": null}]`;
+        expect(code.length).toBeGreaterThan(8000);
+        expect(detectLanguageFromContent(code)).toBe('json');
+        expect(
+            detectLanguageFromContent(`${code.slice(0, 9000)}\nconst x = 1;`),
+        ).toBe('json');
+        expect(
+            detectLanguageFromContent(
+                `{ let x = 1; ${'x += 1;\n'.repeat(1000)}}`,
+            ),
+        ).not.toBe('json');
+    });
+
+    it('uses the content rules for other languages', () => {
+        expect(detectLanguageFromContent('public class Main {\n}\n')).toBe(
+            'java',
+        );
+        expect(detectLanguageFromContent('def f(x):\n    return x\n')).toBe(
+            'python',
+        );
+        expect(detectLanguageFromContent('hello there')).toBeNull();
+    });
+});
+
+describe('resolveLanguage', () => {
+    it('prefers a chosen language, then the name, then the contents', () => {
+        expect(
+            resolveLanguage({ name: 'a.py', code: '{}', language: 'ruby' }),
+        ).toBe('ruby');
+        expect(
+            resolveLanguage({ name: 'a.py', code: '{}', language: 'auto' }),
+        ).toBe('python');
+        expect(resolveLanguage({ name: 'data', code: '[1]' })).toBe('json');
+        expect(resolveLanguage({ name: 'x', code: 'hi' })).toBe('plaintext');
+    });
+});
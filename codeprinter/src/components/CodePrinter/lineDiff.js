@@ -0,0 +1,170 @@
+// Line-level diff between two versions of a file (Myers' O(ND) algorithm),
+// plus pairing of changed lines for side-by-side display.
+
+/** Diff printing modes: off, one merged listing, or both versions. */
+export const DIFF_MODES = Object.freeze(['off', 'unified', 'side-by-side']);
+
+/**
+ * @typedef {{type: 'same'|'added'|'removed', oldNumber: number|null, newNumber: number|null}} DiffLine
+ *   oldNumber/newNumber are 1-based line numbers, null on the side a line is
+ *   missing from
+ */
+
+function splitLines(text) {
+    if (!text) return [];
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+/**
+ * Myers' search for the shortest edit script between two non-empty arrays of
+ * lines. Each round only records the diagonals it can reach, so the trace
+ * grows with the square of the number of edits, not with the file length.
+ * @returns {Array<'same'|'added'|'removed'>}
+ */
+function myersScript(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    // trace[d] holds diagonals -d-1..d+1 as they were before round d.
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+        for (let k = -d; k <= d; k += 2) {
+            let x =
+                k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the path.
+    const script = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const prev = trace[d];
+        const at = (diagonal) => prev[diagonal + d + 1];
+        const k = x - y;
+        const prevK =
+            k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+        while (x > prevX && y > prevY) {
+            script.push('same');
+            x--;
+            y--;
+        }
+        if (d > 0) script.push(x === prevX ? 'added' : 'removed');
+        x = prevX;
+        y = prevY;
+    }
+    while (x > 0 && y > 0) {
+        script.push('same');
+        x--;
+        y--;
+    }
+    return script.reverse();
+}
+
+/**
+ * Shortest edit script between two arrays of lines. Lines both versions
+ * share at the start and end are matched up front, which leaves only the
+ * changed middle for the search.
+ * @returns {Array<'same'|'added'|'removed'>}
+ */
+function editScript(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) {
+        start++;
+    }
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+
+    const middleA = a.slice(start, endA);
+    const middleB = b.slice(start, endB);
+    const middle =
+        middleA.length && middleB.length
+            ? myersScript(middleA, middleB)
+            : [
+                  ...Array(middleA.length).fill('removed'),
+                  ...Array(middleB.length).fill('added'),
+              ];
+    return [
+        ...Array(start).fill('same'),
+        ...middle,
+        ...Array(a.length - endA).fill('same'),
+    ];
+}
+
+/**
+ * Diffs two texts line by line.
+ * @param {string} oldText
+ * @param {string} newText
+ * @returns {DiffLine[]}
+ */
+export function diffLines(oldText, newText) {
+    const a = splitLines(oldText);
+    const b = splitLines(newText);
+    let oldNumber = 0;
+    let newNumber = 0;
+    return editScript(a, b).map((type) => {
+        if (type !== 'added') oldNumber++;
+        if (type !== 'removed') newNumber++;
+        return {
+            type,
+            oldNumber: type === 'added' ? null : oldNumber,
+            newNumber: type === 'removed' ? null : newNumber,
+        };
+    });
+}
+
+/**
+ * Pairs diff lines into rows for a side-by-side view: unchanged lines face
+ * each other and each run of removed lines is matched with the run of added
+ * lines that follows it.
+ * @param {DiffLine[]} diff
+ * @returns {Array<{left: DiffLine|null, right: DiffLine|null}>}
+ */
+export function pairDiffLines(diff) {
+    const rows = [];
+    let i = 0;
+    while (i < diff.length) {
+        if (diff[i].type === 'same') {
+            rows.push({ left: diff[i], right: diff[i] });
+            i++;
+            continue;
+        }
+        const removed = [];
+        const added = [];
+        while (i < diff.length && diff[i].type === 'removed') {
+            removed.push(diff[i++]);
+        }
+        while (i < diff.length && diff[i].type === 'added') {
+            added.push(diff[i++]);
+        }
+        for (let j = 0; j < Math.max(removed.length, added.length); j++) {
+            rows.push({ left: removed[j] || null, right: added[j] || null });
+        }
+    }
+    return rows;
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { diffLines, pairDiffLines } from './lineDiff.js';
+
+const types = (diff) => diff.map((line) => line.type);
+
+describe('diffLines', () => {
+    it('numbers unchanged, removed and added lines on each side', () => {
+        expect(diffLines('a\nb\nc\n', 'a\nx\nc\n')).toEqual([
+            { type: 'same', oldNumber: 1, newNumber: 1 },
+            { type: 'removed', oldNumber: 2, newNumber: null },
+            { type: 'added', oldNumber: null, newNumber: 2 },
+            { type: 'same', oldNumber: 3, newNumber: 3 },
+        ]);
+    });
+
+    it('treats every line as added or removed against an empty text', () => {
+        expect(types(diffLines('', 'a\nb'))).toEqual(['added', 'added']);
+        expect(types(diffLines('a\nb', ''))).toEqual(['removed', 'removed']);
+    });
+
+    it('ignores line ending differences', () => {
+        expect(types(diffLines('a\r\nb\r\n', 'a\nb\n'))).toEqual([
+            'same',
+            'same',
+        ]);
+    });
+
+    it('finds the shortest edit script', () => {
+        const diff = diffLines('a\nb\nc\nd\ne', 'a\nc\nd\ny\ne');
+        expect(types(diff)).toEqual([
+            'same',
+            'removed',
+            'same',
+            'same',
+            'added',
+            'same',
+        ]);
+    });
+});
+
+describe('pairDiffLines', () => {
+    it('faces each run of removed lines with the added lines after it', () => {
+        const rows = pairDiffLines(diffLines('a\nb\nc\nd', 'a\nx\nd'));
+        expect(
+            rows.map(({ left, right }) => [
+                left?.oldNumber ?? null,
+                right?.newNumber ?? null,
+            ]),
+        ).toEqual([
+            [1, 1],
+            [2, 2],
+            [3, null],
+            [4, 3],
+        ]);
+    });
+});
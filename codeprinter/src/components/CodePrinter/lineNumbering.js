@@ -0,0 +1,39 @@
+// Options shared by the printed view and PDF export for numbering lines and
+// marking where long lines wrap.
+
+export const DEFAULT_LINE_NUMBER_START = 1;
+
+/** Ways of marking the continuation rows of a wrapped line. */
+export const WRAP_MARKERS = Object.freeze({
+    none: 'None',
+    arrow: '↪',
+    indent: 'Indent',
+});
+
+export const DEFAULT_WRAP_MARKER = 'none';
+
+/** Columns continuation rows are indented by when they are marked. */
+export const WRAP_INDENT_COLUMNS = 2;
+
+/**
+ * Coerces a stored or shared starting line number, falling back to the
+ * default for anything that is not a non-negative integer.
+ * @param {any} value
+ * @returns {number}
+ */
+export function normalizeLineNumberStart(value) {
+    const start = Number(value);
+    return Number.isInteger(start) && start >= 0
+        ? start
+        : DEFAULT_LINE_NUMBER_START;
+}
+
+/**
+ * Number of digits the line number gutter needs to fit every number.
+ * @param {number} lineCount
+ * @param {number} start number of the first line
+ * @returns {number}
+ */
+export function gutterDigits(lineCount, start = DEFAULT_LINE_NUMBER_START) {
+    return String(Math.max(start, start + lineCount - 1)).length;
+}
@@ -0,0 +1,58 @@
+// Parses line specs such as `3,7-9` or `40-80` used to limit which lines are
+// printed and which are highlighted.
+
+/**
+ * Parses a comma separated list of line numbers and ranges. Ranges may be
+ * open ended (`40-` or `-10`).
+ * @param {string} spec
+ * @returns {Array<[number, number]>|null} inclusive ranges, [] for an empty
+ *   spec, or null when the spec is malformed
+ */
+export function parseLineSpec(spec) {
+    if (typeof spec !== 'string' || !spec.trim()) return [];
+
+    const ranges = [];
+    for (const part of spec.split(',')) {
+        const match = part.trim().match(/^(\d*)\s*(?:(-)\s*(\d*))?$/);
+        if (!match || (!match[1] && !match[3])) return null;
+
+        const start = match[1] ? Number(match[1]) : 1;
+        const end = match[2] ? (match[3] ? Number(match[3]) : Infinity) : start;
+        if (start < 1 || end < start) return null;
+        ranges.push([start, end]);
+    }
+    return ranges;
+}
+
+/**
+ * Builds a predicate for line numbers covered by a spec.
+ * @param {string} spec
+ * @param {boolean} emptyMatchesAll whether an empty (or malformed) spec
+ *   matches every line rather than none
+ * @returns {(lineNumber: number) => boolean}
+ */
+export function lineSpecMatcher(spec, emptyMatchesAll) {
+    const ranges = parseLineSpec(spec);
+    if (!ranges || !ranges.length) return () => emptyMatchesAll;
+    return (lineNumber) =>
+        ranges.some(([start, end]) => lineNumber >= start && lineNumber <= end);
+}
+
+/**
+ * Whether a spec is empty or parses cleanly, for flagging bad input.
+ * @param {string} spec
+ */
+export function isValidLineSpec(spec) {
+    return parseLineSpec(spec) !== null;
+}
+
+/**
+ * The line of the code as written that a printed line comes from. Clean-up
+ * before printing can leave lines out, so printed files carry `sourceLines`
+ * and line specs, notes and line numbers follow the original numbering.
+ * @param {{sourceLines?: number[]}} file
+ * @param {number} index 0-based printed line
+ */
+export function sourceLineNumber(file, index) {
+    return file.sourceLines?.[index] ?? index + 1;
+}
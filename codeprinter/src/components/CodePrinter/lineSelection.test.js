@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import {
+    isValidLineSpec,
+    lineSpecMatcher,
+    parseLineSpec,
+    sourceLineNumber,
+} from './lineSelection.js';
+
+describe('parseLineSpec', () => {
+    it('parses single lines and ranges', () => {
+        expect(parseLineSpec('3, 7-9')).toEqual([
+            [3, 3],
+            [7, 9],
+        ]);
+    });
+
+    it('parses open-ended ranges', () => {
+        expect(parseLineSpec('40-')).toEqual([[40, Infinity]]);
+        expect(parseLineSpec('-10')).toEqual([[1, 10]]);
+    });
+
+    it('returns an empty list for an empty spec', () => {
+        expect(parseLineSpec('  ')).toEqual([]);
+        expect(parseLineSpec(undefined)).toEqual([]);
+    });
+
+    it('rejects malformed specs', () => {
+        ['a', '5-3', '0', '-', '1,,2'].forEach((spec) => {
+            expect(parseLineSpec(spec)).toBeNull();
+            expect(isValidLineSpec(spec)).toBe(false);
+        });
+    });
+});
+
+describe('lineSpecMatcher', () => {
+    it('matches the lines inside any range', () => {
+        const matches = lineSpecMatcher('2-3,10-', false);
+        expect([1, 2, 3, 4, 10, 500].map(matches)).toEqual([
+            false,
+            true,
+            true,
+            false,
+            true,
+            true,
+        ]);
+    });
+
+    it('matches every line or none for an empty spec', () => {
+        expect(lineSpecMatcher('', true)(5)).toBe(true);
+        expect(lineSpecMatcher('', false)(5)).toBe(false);
+    });
+});
+
+describe('sourceLineNumber', () => {
+    it('follows sourceLines when present', () => {
+        expect(sourceLineNumber({ sourceLines: [1, 4, 5] }, 1)).toBe(4);
+        expect(sourceLineNumber({}, 1)).toBe(2);
+    });
+});
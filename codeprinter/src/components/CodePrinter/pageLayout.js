@@ -0,0 +1,82 @@
+// Page layout options: code columns, paper size, orientation, margins and
+// n-up sheets.
+// n-up is modelled the way it looks on paper: two portrait pages side by
+// side on a landscape sheet are two columns at 1/√2 scale, four pages are a
+// 2×2 grid at half scale.
+
+export const COLUMN_COUNTS = Object.freeze([1, 2, 3]);
+
+export const ORIENTATIONS = Object.freeze(['portrait', 'landscape']);
+
+/** Portrait paper dimensions in inches, keyed by CSS `@page` size name. */
+export const PAPER_SIZES = Object.freeze({
+    letter: { width: 8.5, height: 11 },
+    a4: { width: 8.27, height: 11.69 },
+    legal: { width: 8.5, height: 14 },
+});
+
+/** Page margins in inches. */
+export const MARGINS = Object.freeze({ narrow: 0.25, normal: 0.5, wide: 1 });
+
+/** How each pages-per-sheet choice maps onto columns, rotation and scale. */
+const PAGES_PER_SHEET = Object.freeze({
+    1: { columns: 1, rotate: false, scale: 1 },
+    2: { columns: 2, rotate: true, scale: Math.SQRT1_2 },
+    4: { columns: 2, rotate: false, scale: 0.5 },
+});
+
+export const PAGES_PER_SHEET_OPTIONS = Object.freeze(
+    Object.keys(PAGES_PER_SHEET).map(Number),
+);
+
+export const DEFAULT_PAGE_LAYOUT = Object.freeze({
+    columns: 1,
+    orientation: 'portrait',
+    pagesPerSheet: 1,
+    paperSize: 'letter',
+    margins: 'normal',
+});
+
+/**
+ * Resolves the chosen layout options into what is actually printed.
+ * @param {{columns: number, orientation: string, pagesPerSheet: number, paperSize?: string, margins?: string}} layout
+ * @returns {{columns: number, orientation: 'portrait'|'landscape', scale: number, paperSize: string, paper: {width: number, height: number}, margin: number}}
+ *   `paper` is the sheet as printed and `margin` is in inches
+ */
+export function resolvePageLayout({
+    columns,
+    orientation,
+    pagesPerSheet,
+    paperSize = DEFAULT_PAGE_LAYOUT.paperSize,
+    margins = DEFAULT_PAGE_LAYOUT.margins,
+}) {
+    // Stored and shared values are untrusted, so only own keys count; `in`
+    // would also accept names like `constructor`.
+    const nUp = Object.hasOwn(PAGES_PER_SHEET, pagesPerSheet)
+        ? PAGES_PER_SHEET[pagesPerSheet]
+        : PAGES_PER_SHEET[1];
+    const baseColumns = COLUMN_COUNTS.includes(columns) ? columns : 1;
+    const portrait = (orientation !== 'landscape') !== nUp.rotate;
+    const size = Object.hasOwn(PAPER_SIZES, paperSize) ? paperSize : 'letter';
+    const { width, height } = PAPER_SIZES[size];
+    return {
+        columns: baseColumns * nUp.columns,
+        orientation: portrait ? 'portrait' : 'landscape',
+        scale: nUp.scale,
+        paperSize: size,
+        paper: portrait ? { width, height } : { width: height, height: width },
+        margin: Object.hasOwn(MARGINS, margins)
+            ? MARGINS[margins]
+            : MARGINS.normal,
+    };
+}
+
+/**
+ * CSS for the printed sheet size, orientation and margins, so the browser
+ * prints the pages the preview shows.
+ * @param {{paperSize: string, orientation: string, margin: number}} resolvedLayout
+ * @returns {string}
+ */
+export function buildPageLayoutCss({ paperSize, orientation, margin }) {
+    return `@page { size: ${paperSize} ${orientation}; margin: ${margin}in; }`;
+}
@@ -0,0 +1,146 @@
+// Turns the header/footer templates into print CSS. Each template holds up to
+// three sections separated by `|` (left | center | right) and may use the
+// tokens below. Every printed file gets its own named @page so the
+// {filename} token can differ between files.
+
+export const TEMPLATE_TOKENS = Object.freeze([
+    'filename',
+    'author',
+    'date',
+    'page',
+    'pages',
+]);
+
+export const DEFAULT_HEADER_TEMPLATE = '{filename}||{author}';
+export const DEFAULT_FOOTER_TEMPLATE = '{date}||Page {page} of {pages}';
+
+const MARGIN_BOXES = Object.freeze({
+    header: ['@top-left', '@top-center', '@top-right'],
+    footer: ['@bottom-left', '@bottom-center', '@bottom-right'],
+});
+
+const MARGIN_BOX_STYLE = 'font-size: 9pt; color: #444;';
+
+/** Page counters are resolved by the browser while printing. */
+const COUNTER_TOKENS = Object.freeze({
+    page: 'counter(page)',
+    pages: 'counter(pages)',
+});
+
+/**
+ * Quotes text as a CSS string literal.
+ * @param {string} text
+ */
+function cssString(text) {
+    const escaped = text
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\r?\n/g, '\\A ');
+    return `"${escaped}"`;
+}
+
+/**
+ * Converts one template section into a CSS `content` value.
+ * @param {string} section e.g. `Page {page} of {pages}`
+ * @param {Record<string, string>} values text for the non-counter tokens
+ * @returns {string|null} the content value, or null when the section is empty
+ */
+export function templateToCssContent(section, values = {}) {
+    const parts = [];
+    let literal = '';
+    const flushLiteral = () => {
+        if (literal) parts.push(cssString(literal));
+        literal = '';
+    };
+
+    section.split(/(\{\w+\})/).forEach((piece) => {
+        const token = piece.match(/^\{(\w+)\}$/)?.[1];
+        if (token && COUNTER_TOKENS[token]) {
+            flushLiteral();
+            parts.push(COUNTER_TOKENS[token]);
+        } else if (token && TEMPLATE_TOKENS.includes(token)) {
+            literal += values[token] ?? '';
+        } else {
+            literal += piece;
+        }
+    });
+    flushLiteral();
+
+    if (!parts.length || (parts.length === 1 && parts[0] === '""')) {
+        return null;
+    }
+    return parts.join(' ');
+}
+
+/**
+ * Splits a template into its left, center and right sections.
+ * @param {string} template
+ * @returns {[string, string, string]}
+ */
+export function splitTemplate(template) {
+    const [left = '', center = '', right = ''] = (template || '').split('|');
+    return [left.trim(), center.trim(), right.trim()];
+}
+
+/**
+ * Name of the @page rule used by the file at `index`.
+ * @param {number} index
+ */
+export function filePageName(index) {
+    return `cpfile-${index}`;
+}
+
+/**
+ * Builds the @page rules that render headers and footers for each file.
+ * @param {{
+ *  header?: string,
+ *  footer?: string,
+ *  author?: string,
+ *  date?: string,
+ *  fileNames: string[]
+ * }} options
+ * @returns {string} CSS text, empty when neither template has content
+ */
+export function buildPageTemplateCss({
+    header = '',
+    footer = '',
+    author = '',
+    date = new Date().toLocaleDateString(),
+    fileNames,
+}) {
+    if (!header.trim() && !footer.trim()) return '';
+
+    return fileNames
+        .map((filename, index) => {
+            const values = { filename, author, date };
+            const boxes = [];
+            [
+                ['header', header],
+                ['footer', footer],
+            ].forEach(([kind, template]) => {
+                splitTemplate(template).forEach((section, position) => {
+                    const content = templateToCssContent(section, values);
+                    if (content) {
+                        boxes.push(
+                            `${MARGIN_BOXES[kind][position]} { content: ${content}; ${MARGIN_BOX_STYLE} }`,
+                        );
+                    }
+                });
+            });
+            return `@page ${filePageName(index)} { ${boxes.join(' ')} }`;
+        })
+        .join('\n');
+}
+
+/**
+ * Fills a template section with plain text, for renderers (such as PDF
+ * export) that know the page numbers themselves.
+ * @param {string} section
+ * @param {Record<string, string|number>} values including page and pages
+ * @returns {string}
+ */
+export function fillTemplateText(section, values = {}) {
+    return section.replace(/\{(\w+)\}/g, (match, token) =>
+        TEMPLATE_TOKENS.includes(token) ? String(values[token] ?? '') : match,
+    );
+}
@@ -0,0 +1,699 @@
+// Exports the print job straight to PDF as real (selectable, searchable) text.
+// Tokens come from the same highlight.js grammar SyntaxHighlighter uses and are
+// coloured from the active hljs theme, so output matches across browsers
+// instead of depending on each browser's print engine.
+
+import { createPdfSaver } from '@/ppr/pdf-saver.js';
+import { parseCssColor } from './colors.js';
+import { tokenizeLines, resolveTokenStyle } from './highlightTokens.js';
+import { fillTemplateText, splitTemplate } from './pageTemplates.js';
+import { lineSpecMatcher, sourceLineNumber } from './lineSelection.js';
+import {
+    DEFAULT_LINE_NUMBER_START,
+    DEFAULT_WRAP_MARKER,
+    WRAP_INDENT_COLUMNS,
+    gutterDigits,
+} from './lineNumbering.js';
+import { notesByLine, numberNotes } from './annotations.js';
+import { startsSubmission } from './submissions.js';
+import { CONTENTS_TITLE, contentsEntries } from './tableOfContents.js';
+import { DEFAULT_WHITESPACE, WHITESPACE_MARKERS } from './whitespace.js';
+
+const PDF_FALLBACK_FONT = 'courier';
+
+const PDF_EXPORT_LAYOUT = Object.freeze({
+    marginPt: 36,
+    templateFontSizePt: 9,
+    templateBandPt: 18,
+    titleGapPt: 8,
+    columnGapPt: 18,
+    noteMarginPt: 144,
+    noteGapPt: 8,
+    noteFontRatio: 0.85,
+    gutterGapPt: 6,
+    lineHeightRatio: 1.2,
+    separatorWidthPt: 0.5,
+    coverTitleSizePt: 24,
+});
+
+const DEFAULT_TEXT_COLOR = [33, 37, 41];
+const HIGHLIGHT_FILL_COLOR = [255, 238, 153];
+const HIGHLIGHT_MARKER_WIDTH_PT = 3;
+const TEMPLATE_TEXT_COLOR = [68, 68, 68];
+const WRAP_MARKER_COLOR = [134, 142, 150];
+
+/**
+ * Loaders for TrueType data of fonts that can be embedded in exported PDFs.
+ * jsPDF can only embed TTF files, so a font without a registered loader (an
+ * uploaded WOFF2 font, for one) falls back to Courier.
+ * @type {Map<string, () => Promise<{normal: ArrayBuffer, bold?: ArrayBuffer, italic?: ArrayBuffer, bolditalic?: ArrayBuffer}|null>>}
+ */
+const pdfFontLoaders = new Map();
+
+/**
+ * Registers TrueType data for a font family so PDF export can embed it.
+ * @param {string} family
+ * @param {() => Promise<{normal: ArrayBuffer, bold?: ArrayBuffer, italic?: ArrayBuffer, bolditalic?: ArrayBuffer}|null>} loader
+ */
+export function registerPdfFont(family, loader) {
+    pdfFontLoaders.set(family, loader);
+}
+
+function arrayBufferToBase64(buffer) {
+    const bytes = new Uint8Array(buffer);
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Embeds the requested font if TrueType data is available.
+ * @returns {Promise<{family: string, styles: Set<string>, embedded: boolean}>}
+ */
+async function preparePdfFont(doc, family) {
+    const loader = pdfFontLoaders.get(family);
+    if (loader) {
+        try {
+            const faces = await loader();
+            if (faces?.normal) {
+                const styles = new Set();
+                Object.entries(faces).forEach(([style, data]) => {
+                    if (!data) return;
+                    const fileName = `${family}-${style}.ttf`;
+                    doc.addFileToVFS(fileName, arrayBufferToBase64(data));
+                    doc.addFont(fileName, family, style);
+                    styles.add(style);
+                });
+                return { family, styles, embedded: true };
+            }
+        } catch (err) {
+            console.warn(`Could not embed ${family} in the PDF`, err);
+        }
+    }
+    return {
+        family: PDF_FALLBACK_FONT,
+        styles: new Set(['normal', 'bold', 'italic', 'bolditalic']),
+        embedded: false,
+    };
+}
+
+function pdfFontStyle(style, availableStyles) {
+    const bold = style.fontWeight === 'bold' || Number(style.fontWeight) >= 600;
+    const italic = style.fontStyle === 'italic';
+    const wanted =
+        bold && italic
+            ? 'bolditalic'
+            : bold
+              ? 'bold'
+              : italic
+                ? 'italic'
+                : 'normal';
+    return availableStyles.has(wanted) ? wanted : 'normal';
+}
+
+/**
+ * Replaces tabs with spaces, keeping track of the column across tokens.
+ * With `markWhitespace`, spaces and tabs become their own tokens flagged
+ * with `whitespace` so they can be drawn as markers.
+ * @param {Array<{text: string, classNames: string[]}>} tokens
+ * @param {number} tabWidth
+ * @param {boolean} [markWhitespace]
+ */
+function expandTabs(tokens, tabWidth, markWhitespace = false) {
+    let column = 0;
+    return tokens.flatMap((token) => {
+        const pieces = [];
+        let text = '';
+        const push = (piece) => {
+            if (text) pieces.push({ ...token, text });
+            text = '';
+            if (piece) pieces.push({ ...token, ...piece });
+        };
+        for (const char of token.text) {
+            if (char === '\t') {
+                const spaces = tabWidth - (column % tabWidth);
+                if (markWhitespace) {
+                    push({ text: ' '.repeat(spaces), whitespace: 'tab' });
+                } else {
+                    text += ' '.repeat(spaces);
+                }
+                column += spaces;
+            } else if (char === ' ' && markWhitespace) {
+                push({ text: WHITESPACE_MARKERS.space, whitespace: 'space' });
+                column += 1;
+            } else {
+                text += char;
+                column += 1;
+            }
+        }
+        push();
+        return pieces;
+    });
+}
+
+/**
+ * Splits a line of tokens into rows of at most `columns` characters, or
+ * `continuationColumns` for every row after the first.
+ * @param {Array<{text: string, classNames: string[]}>} tokens
+ * @param {number} columns
+ * @param {number} [continuationColumns]
+ */
+function wrapTokens(tokens, columns, continuationColumns = columns) {
+    const rows = [[]];
+    let used = 0;
+    let available = columns;
+    tokens.forEach((token) => {
+        let rest = token.text;
+        while (rest.length) {
+            if (used === available) {
+                rows.push([]);
+                used = 0;
+                available = continuationColumns;
+            }
+            const piece = rest.slice(0, available - used);
+            rows[rows.length - 1].push({ ...token, text: piece });
+            used += piece.length;
+            rest = rest.slice(piece.length);
+        }
+    });
+    return rows;
+}
+
+/**
+ * Draws a ↪ continuation arrow as lines, since the standard PDF fonts have no
+ * glyph for it.
+ */
+function drawWrapArrow(doc, x, y, width, height) {
+    const stemX = x + width * 0.2;
+    const tipX = x + width * 0.8;
+    const baseY = y + height * 0.6;
+    const headSize = height * 0.15;
+    doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+    doc.setDrawColor(...WRAP_MARKER_COLOR);
+    doc.line(stemX, y + height * 0.25, stemX, baseY);
+    doc.line(stemX, baseY, tipX, baseY);
+    doc.line(tipX, baseY, tipX - headSize, baseY - headSize);
+    doc.line(tipX, baseY, tipX - headSize, baseY + headSize);
+}
+
+/** Draws a → tab marker as lines, for the same reason. */
+function drawTabArrow(doc, x, y, width, height) {
+    const midY = y + height * 0.5;
+    const tipX = x + width - height * 0.15;
+    const headSize = height * 0.12;
+    doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+    doc.setDrawColor(...WRAP_MARKER_COLOR);
+    doc.line(x + height * 0.1, midY, tipX, midY);
+    doc.line(tipX, midY, tipX - headSize, midY - headSize);
+    doc.line(tipX, midY, tipX - headSize, midY + headSize);
+}
+
+/**
+ * Renders the files into a new jsPDF document and saves it. `margin` is in
+ * inches, as resolved by resolvePageLayout. Typography follows typography.js:
+ * `lineHeight` is a multiple of the size and `letterSpacing` is in em; code
+ * is bold from weight 600 since PDFs embed only regular and bold faces.
+ * @param {{
+ *  files: Array<{name: string, code: string, language: string, lineRange?: string, highlightLines?: string, sourceLines?: number[], student?: string}>,
+ *  font: string,
+ *  size: number,
+ *  theme: Record<string, object>|null,
+ *  showLineNumbers: boolean,
+ *  lineNumberStart?: number,
+ *  wrapMarker?: 'none'|'arrow'|'indent',
+ *  columns?: number,
+ *  orientation?: 'portrait'|'landscape',
+ *  paperSize?: 'letter'|'a4'|'legal',
+ *  margin?: number,
+ *  notePlacement?: 'margin'|'footnotes',
+ *  tabWidth?: number,
+ *  showWhitespace?: boolean,
+ *  fontWeight?: number,
+ *  lineHeight?: number,
+ *  letterSpacing?: number,
+ *  showFileTitles?: boolean,
+ *  showContents?: boolean,
+ *  headerTemplate?: string,
+ *  footerTemplate?: string,
+ *  author?: string,
+ *  fileName?: string
+ * }} options
+ * @returns {Promise<{embeddedFont: boolean}>}
+ */
+export async function exportCodePdf({
+    files,
+    font,
+    size,
+    theme,
+    showLineNumbers,
+    lineNumberStart = DEFAULT_LINE_NUMBER_START,
+    wrapMarker = DEFAULT_WRAP_MARKER,
+    columns = 1,
+    orientation = 'portrait',
+    paperSize = 'letter',
+    margin: marginIn = PDF_EXPORT_LAYOUT.marginPt / 72,
+    notePlacement = 'margin',
+    tabWidth = DEFAULT_WHITESPACE.tabWidth,
+    showWhitespace = false,
+    fontWeight = 400,
+    lineHeight: lineHeightRatio = PDF_EXPORT_LAYOUT.lineHeightRatio,
+    letterSpacing = 0,
+    showFileTitles = files.length > 1,
+    showContents = false,
+    headerTemplate = '',
+    footerTemplate = '',
+    author = '',
+    fileName = 'code.pdf',
+}) {
+    const { jsPDF } = await createPdfSaver();
+    const doc = new jsPDF({ unit: 'pt', format: paperSize, orientation });
+    const pdfFont = await preparePdfFont(doc, font);
+
+    const pageWidth = doc.internal.pageSize.getWidth();
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const margin = marginIn * 72;
+    const hasHeader = splitTemplate(headerTemplate).some(Boolean);
+    const hasFooter = splitTemplate(footerTemplate).some(Boolean);
+    const top = margin + (hasHeader ? PDF_EXPORT_LAYOUT.templateBandPt : 0);
+    const bottom =
+        pageHeight -
+        margin -
+        (hasFooter ? PDF_EXPORT_LAYOUT.templateBandPt : 0);
+    const lineHeight = size * lineHeightRatio;
+    const charSpace = letterSpacing * size;
+    const columnWidth =
+        (pageWidth -
+            margin * 2 -
+            PDF_EXPORT_LAYOUT.columnGapPt * (columns - 1)) /
+        columns;
+
+    const background = parseCssColor(theme?.hljs?.background);
+    const baseColor = parseCssColor(theme?.hljs?.color) || DEFAULT_TEXT_COLOR;
+    const pageFileNames = [];
+    const fileStartPages = [];
+
+    // jsPDF documents start with one blank page.
+    let pageCount = 0;
+    const nextPage = (pageFileName) => {
+        if (pageCount++) doc.addPage();
+        pageFileNames.push(pageFileName);
+    };
+
+    // The contents pages come first but are only filled in once every file
+    // has been laid out and its starting page is known.
+    const contents = showContents ? contentsEntries(files) : [];
+    const contentsTitleHeight =
+        (size + 4) * PDF_EXPORT_LAYOUT.lineHeightRatio +
+        PDF_EXPORT_LAYOUT.titleGapPt;
+    const contentsRows = Math.max(
+        1,
+        Math.floor((bottom - top - contentsTitleHeight) / lineHeight),
+    );
+    const contentsPages = Math.ceil(contents.length / contentsRows);
+    for (let i = 0; i < contentsPages; i++) nextPage(CONTENTS_TITLE);
+
+    const startPage = (file) => {
+        nextPage(file.name);
+        if (background) {
+            doc.setFillColor(...background);
+            doc.rect(margin, top, pageWidth - margin * 2, bottom - top, 'F');
+        }
+    };
+
+    // Each student in a batch of submissions gets a cover page listing
+    // their files.
+    const drawCover = (student) => {
+        nextPage(student);
+        const fileNames = files
+            .filter((file) => file.student === student)
+            .map((file) => file.name.slice(student.length + 1));
+        let y = pageHeight / 3;
+        doc.setTextColor(...DEFAULT_TEXT_COLOR);
+        doc.setFont(
+            pdfFont.family,
+            pdfFontStyle({ fontWeight: 'bold' }, pdfFont.styles),
+        );
+        doc.setFontSize(PDF_EXPORT_LAYOUT.coverTitleSizePt);
+        doc.text(student, margin, y, { baseline: 'top' });
+        y +=
+            PDF_EXPORT_LAYOUT.coverTitleSizePt *
+            PDF_EXPORT_LAYOUT.lineHeightRatio;
+        doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+        doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+        doc.line(margin, y, pageWidth - margin, y);
+        y += PDF_EXPORT_LAYOUT.titleGapPt;
+        doc.setFont(pdfFont.family, 'normal');
+        doc.setFontSize(size);
+        [`${fileNames.length} file(s)`, ...fileNames].forEach((text) => {
+            if (y + lineHeight > bottom) return;
+            doc.text(text, margin, y, { baseline: 'top' });
+            y += lineHeight;
+        });
+    };
+
+    files.forEach((file, fileIndex) => {
+        if (startsSubmission(files, fileIndex)) drawCover(file.student);
+        startPage(file);
+        fileStartPages.push(doc.getNumberOfPages());
+        let y = top;
+
+        if (showFileTitles) {
+            doc.setFont(
+                pdfFont.family,
+                pdfFontStyle({ fontWeight: 'bold' }, pdfFont.styles),
+            );
+            doc.setFontSize(size + 2);
+            doc.setTextColor(...DEFAULT_TEXT_COLOR);
+            doc.text(file.name, margin, y, { baseline: 'top' });
+            y += (size + 2) * PDF_EXPORT_LAYOUT.lineHeightRatio;
+            doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+            doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+            doc.line(margin, y, pageWidth - margin, y);
+            y += PDF_EXPORT_LAYOUT.titleGapPt;
+        }
+
+        doc.setFont(pdfFont.family, 'normal');
+        doc.setFontSize(size);
+        const charWidth = doc.getTextWidth('M') + charSpace;
+        const lines = tokenizeLines(
+            file.code.replace(/\r\n?/g, '\n'),
+            file.language,
+        );
+        if (lines.length > 1 && lines[lines.length - 1].length === 0)
+            lines.pop();
+
+        const digits = gutterDigits(
+            sourceLineNumber(file, lines.length - 1),
+            lineNumberStart,
+        );
+        const gutter = showLineNumbers
+            ? digits * charWidth + PDF_EXPORT_LAYOUT.gutterGapPt * 2
+            : 0;
+        const notes = numberNotes(file.notes);
+        const lineNotes = notesByLine(notes);
+        const notesInMargin = notePlacement === 'margin' && notes.length > 0;
+        const codeWidth =
+            columnWidth -
+            gutter -
+            (notesInMargin ? PDF_EXPORT_LAYOUT.noteMarginPt : 0);
+        const rowChars = Math.max(1, Math.floor(codeWidth / charWidth));
+        const wrapIndent =
+            wrapMarker === DEFAULT_WRAP_MARKER
+                ? 0
+                : Math.min(WRAP_INDENT_COLUMNS, rowChars - 1);
+        // Code flows down each column of a page before moving to the next;
+        // the title only spans the columns of the file's first page.
+        let column = 0;
+        let columnTop = y;
+        let codeX = margin + gutter;
+        let segmentTop = y;
+        let inFootnotes = false;
+
+        const drawGutterLine = () => {
+            if (!showLineNumbers || inFootnotes || y <= segmentTop) return;
+            doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+            doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+            const x = codeX - PDF_EXPORT_LAYOUT.gutterGapPt;
+            doc.line(x, segmentTop, x, y);
+        };
+
+        const isVisible = lineSpecMatcher(file.lineRange, true);
+        const isHighlighted = lineSpecMatcher(file.highlightLines, false);
+
+        const ensureRoom = () => {
+            if (y + lineHeight <= bottom) return;
+            drawGutterLine();
+            if (column < columns - 1) {
+                column += 1;
+            } else {
+                startPage(file);
+                column = 0;
+                columnTop = top;
+            }
+            codeX =
+                margin +
+                column * (columnWidth + PDF_EXPORT_LAYOUT.columnGapPt) +
+                gutter;
+            y = columnTop;
+            segmentTop = y;
+        };
+
+        const noteFontSize = size * PDF_EXPORT_LAYOUT.noteFontRatio;
+        const drawMarginNotes = (notesForLine) => {
+            const noteX = codeX + codeWidth + PDF_EXPORT_LAYOUT.noteGapPt;
+            const noteWidth =
+                PDF_EXPORT_LAYOUT.noteMarginPt - PDF_EXPORT_LAYOUT.noteGapPt;
+            doc.setFont(pdfFont.family, 'normal');
+            doc.setFontSize(noteFontSize);
+            doc.setTextColor(...DEFAULT_TEXT_COLOR);
+            const noteLines = notesForLine.flatMap((note) =>
+                doc.splitTextToSize(`${note.number}. ${note.text}`, noteWidth),
+            );
+            const height = noteLines.length * noteFontSize * 1.2;
+            doc.text(noteLines, noteX, y, {
+                baseline: 'top',
+                lineHeightFactor: 1.2,
+            });
+            doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt * 2);
+            doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+            doc.line(noteX - 3, y, noteX - 3, y + height);
+            doc.setFontSize(size);
+        };
+
+        lines.forEach((tokens, lineIndex) => {
+            const lineNumber = sourceLineNumber(file, lineIndex);
+            if (!isVisible(lineNumber)) return;
+            const highlighted = isHighlighted(lineNumber);
+            const notesForLine = lineNotes.get(lineNumber);
+            const rows = wrapTokens(
+                expandTabs(tokens, tabWidth, showWhitespace),
+                rowChars,
+                rowChars - wrapIndent,
+            );
+            rows.forEach((row, rowIndex) => {
+                ensureRoom();
+
+                if (showLineNumbers && rowIndex === 0) {
+                    doc.setFont(pdfFont.family, 'normal');
+                    doc.setTextColor(...DEFAULT_TEXT_COLOR);
+                    doc.text(
+                        String(lineNumber + lineNumberStart - 1),
+                        codeX - PDF_EXPORT_LAYOUT.gutterGapPt * 2,
+                        y,
+                        { baseline: 'top', align: 'right' },
+                    );
+                }
+
+                if (highlighted) {
+                    doc.setFillColor(...HIGHLIGHT_FILL_COLOR);
+                    doc.rect(codeX, y, codeWidth, lineHeight, 'F');
+                    doc.setFillColor(...DEFAULT_TEXT_COLOR);
+                    doc.rect(
+                        codeX,
+                        y,
+                        HIGHLIGHT_MARKER_WIDTH_PT,
+                        lineHeight,
+                        'F',
+                    );
+                }
+
+                let x = codeX;
+                if (rowIndex > 0) {
+                    if (wrapMarker === 'arrow') {
+                        drawWrapArrow(
+                            doc,
+                            codeX,
+                            y,
+                            wrapIndent * charWidth,
+                            lineHeight,
+                        );
+                    }
+                    x += wrapIndent * charWidth;
+                }
+                row.forEach((token) => {
+                    const style = resolveTokenStyle(theme, token.classNames);
+                    const width = token.text.length * charWidth;
+                    const tokenBackground = parseCssColor(
+                        style.backgroundColor,
+                    );
+                    if (tokenBackground) {
+                        doc.setFillColor(...tokenBackground);
+                        doc.rect(x, y, width, lineHeight, 'F');
+                    }
+                    if (token.whitespace === 'tab') {
+                        drawTabArrow(doc, x, y, width, lineHeight);
+                        x += width;
+                        return;
+                    }
+                    doc.setFont(
+                        pdfFont.family,
+                        pdfFontStyle(
+                            {
+                                ...style,
+                                fontWeight: style.fontWeight ?? fontWeight,
+                            },
+                            pdfFont.styles,
+                        ),
+                    );
+                    const textColor = token.whitespace
+                        ? WRAP_MARKER_COLOR
+                        : parseCssColor(style.color) || baseColor;
+                    doc.setTextColor(...textColor);
+                    doc.text(token.text, x, y, { baseline: 'top', charSpace });
+                    if (style.textDecoration?.includes('underline')) {
+                        doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+                        doc.setDrawColor(...textColor);
+                        doc.line(x, y + size, x + width, y + size);
+                    }
+                    x += width;
+                });
+                if (notesForLine && rowIndex === rows.length - 1) {
+                    doc.setFont(
+                        pdfFont.family,
+                        pdfFontStyle({ fontWeight: 'bold' }, pdfFont.styles),
+                    );
+                    doc.setFontSize(noteFontSize);
+                    doc.setTextColor(...DEFAULT_TEXT_COLOR);
+                    doc.text(
+                        notesForLine.map((note) => `[${note.number}]`).join(''),
+                        x + charWidth / 2,
+                        y,
+                        { baseline: 'top' },
+                    );
+                    doc.setFontSize(size);
+                }
+                if (notesInMargin && notesForLine && rowIndex === 0) {
+                    drawMarginNotes(notesForLine);
+                }
+                y += lineHeight;
+            });
+        });
+        drawGutterLine();
+
+        if (notePlacement === 'footnotes' && notes.length) {
+            const footnoteWidth = columnWidth - gutter;
+            doc.setFont(pdfFont.family, 'normal');
+            doc.setTextColor(...DEFAULT_TEXT_COLOR);
+            ensureRoom();
+            inFootnotes = true;
+            doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+            doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+            doc.line(codeX - gutter, y, codeX - gutter + columnWidth, y);
+            y += lineHeight / 2;
+            notes.forEach((note) => {
+                doc.splitTextToSize(
+                    `${note.number}. Line ${note.line + lineNumberStart - 1}: ${note.text}`,
+                    footnoteWidth,
+                ).forEach((text) => {
+                    ensureRoom();
+                    doc.text(text, codeX - gutter, y, { baseline: 'top' });
+                    y += lineHeight;
+                });
+            });
+        }
+    });
+
+    const drawContents = () => {
+        const pageNumberWidth = doc.getTextWidth(` ${doc.getNumberOfPages()}`);
+        const linesWidth = doc.getTextWidth(' 00000 lines');
+        const nameWidth = pageWidth - margin * 2 - pageNumberWidth - linesWidth;
+        let y = top;
+        contents.forEach((entry, index) => {
+            if (index % contentsRows === 0) {
+                doc.setPage(index / contentsRows + 1);
+                y = top;
+                if (index === 0) {
+                    doc.setFont(
+                        pdfFont.family,
+                        pdfFontStyle({ fontWeight: 'bold' }, pdfFont.styles),
+                    );
+                    doc.setFontSize(size + 4);
+                    doc.text(CONTENTS_TITLE, margin, y, { baseline: 'top' });
+                    y += (size + 4) * PDF_EXPORT_LAYOUT.lineHeightRatio;
+                    doc.setLineWidth(PDF_EXPORT_LAYOUT.separatorWidthPt);
+                    doc.setDrawColor(...DEFAULT_TEXT_COLOR);
+                    doc.line(margin, y, pageWidth - margin, y);
+                    y += PDF_EXPORT_LAYOUT.titleGapPt;
+                    doc.setFont(pdfFont.family, 'normal');
+                    doc.setFontSize(size);
+                }
+            }
+            const pageNumber = fileStartPages[index];
+            const [name] = doc.splitTextToSize(
+                `${entry.number}. ${entry.name}`,
+                nameWidth,
+            );
+            doc.text(name, margin, y, { baseline: 'top' });
+            doc.text(
+                `${entry.lines} lines`,
+                pageWidth - margin - pageNumberWidth,
+                y,
+                {
+                    baseline: 'top',
+                    align: 'right',
+                },
+            );
+            doc.text(String(pageNumber), pageWidth - margin, y, {
+                baseline: 'top',
+                align: 'right',
+            });
+            doc.link(margin, y, pageWidth - margin * 2, lineHeight, {
+                pageNumber,
+            });
+            y += lineHeight;
+        });
+    };
+
+    if (contents.length) {
+        doc.setTextColor(...DEFAULT_TEXT_COLOR);
+        doc.setFont(pdfFont.family, 'normal');
+        doc.setFontSize(size);
+        drawContents();
+    }
+
+    const totalPages = doc.getNumberOfPages();
+    const date = new Date().toLocaleDateString();
+    const drawTemplate = (template, baselineY, values) => {
+        const [left, center, right] = splitTemplate(template).map((section) =>
+            fillTemplateText(section, values),
+        );
+        if (left) doc.text(left, margin, baselineY);
+        if (center)
+            doc.text(center, pageWidth / 2, baselineY, { align: 'center' });
+        if (right)
+            doc.text(right, pageWidth - margin, baselineY, { align: 'right' });
+    };
+
+    if (hasHeader || hasFooter) {
+        for (let page = 1; page <= totalPages; page++) {
+            doc.setPage(page);
+            doc.setFont(pdfFont.family, 'normal');
+            doc.setFontSize(PDF_EXPORT_LAYOUT.templateFontSizePt);
+            doc.setTextColor(...TEMPLATE_TEXT_COLOR);
+            const values = {
+                filename: pageFileNames[page - 1],
+                author,
+                date,
+                page,
+                pages: totalPages,
+            };
+            drawTemplate(
+                headerTemplate,
+                margin + PDF_EXPORT_LAYOUT.templateFontSizePt,
+                values,
+            );
+            drawTemplate(footerTemplate, pageHeight - margin, values);
+        }
+    }
+
+    doc.setProperties({
+        title: files.length === 1 ? files[0].name : 'Code printout',
+        author,
+        creator: 'Code Printer',
+    });
+    doc.save(fileName);
+    return { embeddedFont: pdfFont.embedded };
+}
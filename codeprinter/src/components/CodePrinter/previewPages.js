@@ -0,0 +1,76 @@
+// Pagination for the on-screen print preview. The printout is rendered once
+// as a continuous column the width of the printable area, and page
+// boundaries are measured onto it: one every printable page height,
+// restarting wherever a file forces a page break. Lines are not pushed down
+// the way the print engine does, so a boundary can fall through a line that
+// the printout would move to the next page.
+
+/** How the editor and the print preview share the window. */
+export const VIEW_MODES = Object.freeze(['edit', 'split', 'preview']);
+
+export const DEFAULT_VIEW_MODE = 'edit';
+
+/** Editor share of the width in split view. */
+export const DEFAULT_SPLIT_RATIO = 0.5;
+
+const MIN_SPLIT_RATIO = 0.2;
+const MAX_SPLIT_RATIO = 0.8;
+
+/** CSS pixels per inch, so page sizes in inches can be laid out on screen. */
+export const CSS_PX_PER_INCH = 96;
+
+/**
+ * Keeps the split between editor and preview within usable bounds.
+ * @param {number} ratio
+ * @returns {number}
+ */
+export function clampSplitRatio(ratio) {
+    if (!Number.isFinite(ratio)) return DEFAULT_SPLIT_RATIO;
+    return Math.min(MAX_SPLIT_RATIO, Math.max(MIN_SPLIT_RATIO, ratio));
+}
+
+/**
+ * Finds where each printed page starts in a continuous rendering of the
+ * printout.
+ * @param {number} contentHeight height of the rendered printout
+ * @param {number} pageHeight printable height of one page, same units
+ * @param {number[]} [forcedBreaks] offsets of elements that start a page
+ * @returns {number[]} page start offsets, beginning with 0
+ */
+export function pageStarts(contentHeight, pageHeight, forcedBreaks = []) {
+    if (!(pageHeight > 0)) return [0];
+    const sectionStarts = [
+        0,
+        ...forcedBreaks.filter(
+            (offset) => offset > 0 && offset < contentHeight,
+        ),
+    ].sort((a, b) => a - b);
+    const starts = [];
+    sectionStarts.forEach((start, index) => {
+        const end = sectionStarts[index + 1] ?? contentHeight;
+        if (start === starts[starts.length - 1]) return;
+        // Allow half a pixel of rounding before starting another page.
+        for (let y = start; y === start || y < end - 0.5; y += pageHeight) {
+            starts.push(y);
+        }
+    });
+    return starts;
+}
+
+/**
+ * How far through its scrollable range an element is, from 0 to 1.
+ * @param {Element} element
+ */
+export function scrollRatio(element) {
+    const range = element.scrollHeight - element.clientHeight;
+    return range > 0 ? element.scrollTop / range : 0;
+}
+
+/**
+ * Scrolls an element to the same relative position as another.
+ * @param {Element} element
+ * @param {number} ratio from scrollRatio
+ */
+export function setScrollRatio(element, ratio) {
+    element.scrollTop = ratio * (element.scrollHeight - element.clientHeight);
+}
@@ -0,0 +1,86 @@
+// Turns any hljs theme into a monochrome variant for black-and-white
+// printers. Colours become greys dark enough to read once printed, and the
+// token kinds colour used to separate are told apart by emphasis instead.
+
+import { contrastRatio, parseCssColor, toHexColor } from './colors.js';
+
+/** Minimum contrast against white paper (WCAG AAA for body text). */
+export const PRINT_SAFE_MIN_CONTRAST = 7;
+
+const WHITE = [255, 255, 255];
+
+/** Emphasis given to each kind of token, replacing whatever the theme used. */
+const PRINT_SAFE_EMPHASIS = Object.freeze({
+    'hljs-keyword': { fontWeight: 'bold' },
+    'hljs-selector-tag': { fontWeight: 'bold' },
+    'hljs-built_in': { fontWeight: 'bold' },
+    'hljs-literal': { fontWeight: 'bold' },
+    'hljs-type': { fontWeight: 'bold' },
+    'hljs-title': { fontWeight: 'bold' },
+    'hljs-section': { fontWeight: 'bold' },
+    'hljs-comment': { fontStyle: 'italic' },
+    'hljs-quote': { fontStyle: 'italic' },
+    'hljs-doctag': { fontStyle: 'italic', fontWeight: 'bold' },
+    'hljs-string': { textDecoration: 'underline' },
+    'hljs-regexp': { textDecoration: 'underline' },
+});
+
+/**
+ * Converts a colour to a grey of the same lightness, darkened until it
+ * reaches the minimum contrast against white.
+ * @param {string} color
+ * @returns {string} #rrggbb
+ */
+export function printSafeColor(color) {
+    const rgb = parseCssColor(color) || [0, 0, 0];
+    let grey = Math.round(0.299 * rgb[0] + 0.587 * rgb[1] + 0.114 * rgb[2]);
+    while (
+        grey > 0 &&
+        contrastRatio([grey, grey, grey], WHITE) < PRINT_SAFE_MIN_CONTRAST
+    ) {
+        grey -= 1;
+    }
+    return toHexColor([grey, grey, grey]);
+}
+
+/**
+ * Builds a monochrome, high-contrast variant of an hljs style object on a
+ * white background. Works for any theme, including none at all.
+ * @param {Record<string, object>|null} style
+ * @returns {Record<string, object>}
+ */
+export function toPrintSafeTheme(style) {
+    const baseColor = printSafeColor(style?.hljs?.color);
+    const safe = {
+        hljs: {
+            display: 'block',
+            overflowX: 'auto',
+            padding: '0.5em',
+            ...style?.hljs,
+            color: baseColor,
+            background: '#fff',
+        },
+    };
+
+    Object.entries(style || {}).forEach(([className, entry]) => {
+        if (className === 'hljs') return;
+        const rest = { ...entry };
+        delete rest.background;
+        delete rest.backgroundColor;
+        safe[className] = {
+            ...rest,
+            color: entry.color ? printSafeColor(entry.color) : baseColor,
+            fontStyle: 'normal',
+            textDecoration: 'none',
+        };
+    });
+
+    Object.entries(PRINT_SAFE_EMPHASIS).forEach(([className, emphasis]) => {
+        safe[className] = {
+            color: baseColor,
+            ...safe[className],
+            ...emphasis,
+        };
+    });
+    return safe;
+}
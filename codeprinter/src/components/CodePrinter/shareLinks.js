@@ -0,0 +1,166 @@
+// Encodes a print job into the URL hash so it can be shared as a link.
+// The hash uses the same URLSearchParams format as the PPR page's query
+// parameters: print settings stay readable and the files are deflated and
+// base64url encoded into a single `files` parameter.
+
+import { restoreCodeFile, storedFileFields } from './codeFiles.js';
+
+const FILES_PARAM = 'files';
+
+/** Reads a JSON-encoded setting, ignoring it when malformed. */
+function parseJsonSetting(value) {
+    try {
+        return JSON.parse(value);
+    } catch {
+        return undefined;
+    }
+}
+
+/**
+ * Print settings carried by share links: setting key, URL parameter and the
+ * functions converting between the two.
+ */
+const SHARE_SETTINGS = Object.freeze([
+    { key: 'font', param: 'font', parse: String },
+    { key: 'size', param: 'size', parse: Number },
+    { key: 'themeName', param: 'theme', parse: String },
+    {
+        key: 'showLineNumbers',
+        param: 'ln',
+        parse: (value) => value === '1',
+        format: (value) => (value ? '1' : '0'),
+    },
+    {
+        key: 'printSafe',
+        param: 'safe',
+        parse: (value) => value === '1',
+        format: (value) => (value ? '1' : '0'),
+    },
+    {
+        key: 'showContents',
+        param: 'toc',
+        parse: (value) => value === '1',
+        format: (value) => (value ? '1' : '0'),
+    },
+    {
+        key: 'stripComments',
+        param: 'nocomments',
+        parse: (value) => value === '1',
+        format: (value) => (value ? '1' : '0'),
+    },
+    { key: 'lineNumberStart', param: 'start', parse: Number },
+    { key: 'wrapMarker', param: 'wrap', parse: String },
+    { key: 'diffMode', param: 'diff', parse: String },
+    { key: 'notePlacement', param: 'notes', parse: String },
+    { key: 'columns', param: 'cols', parse: Number },
+    { key: 'orientation', param: 'orient', parse: String },
+    { key: 'pagesPerSheet', param: 'nup', parse: Number },
+    { key: 'paperSize', param: 'paper', parse: String },
+    { key: 'margins', param: 'margins', parse: String },
+    {
+        key: 'whitespace',
+        param: 'ws',
+        parse: parseJsonSetting,
+        format: JSON.stringify,
+    },
+    {
+        key: 'typography',
+        param: 'type',
+        parse: parseJsonSetting,
+        format: JSON.stringify,
+    },
+]);
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+    }
+    return btoa(binary)
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+async function pipeThrough(bytes, stream) {
+    const response = new Response(
+        new Blob([bytes]).stream().pipeThrough(stream),
+    );
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Deflates text and encodes it as base64url.
+ * @param {string} text
+ * @returns {Promise<string>}
+ */
+export async function compressText(text) {
+    const bytes = new TextEncoder().encode(text);
+    return bytesToBase64Url(
+        await pipeThrough(bytes, new CompressionStream('deflate-raw')),
+    );
+}
+
+/**
+ * Reverses compressText.
+ * @param {string} encoded
+ * @returns {Promise<string>}
+ */
+export async function decompressText(encoded) {
+    const bytes = await pipeThrough(
+        base64UrlToBytes(encoded),
+        new DecompressionStream('deflate-raw'),
+    );
+    return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Builds the URL hash (without `#`) describing a print job.
+ * @param {{files: Array<Record<string, any>>, settings: Record<string, any>}} job
+ * @returns {Promise<string>}
+ */
+export async function buildShareHash({ files, settings }) {
+    const params = new URLSearchParams();
+    SHARE_SETTINGS.forEach(({ key, param, format = String }) => {
+        if (settings[key] !== undefined && settings[key] !== null) {
+            params.set(param, format(settings[key]));
+        }
+    });
+    const payload = files.map(storedFileFields);
+    params.set(FILES_PARAM, await compressText(JSON.stringify(payload)));
+    return params.toString();
+}
+
+/**
+ * Reads a print job from a URL hash.
+ * @param {string} hash location.hash, with or without the leading `#`
+ * @returns {Promise<{files: Array<object>, settings: Record<string, any>}|null>}
+ *   files recreated with createCodeFile; null when the hash holds no shared job
+ */
+export async function parseShareHash(hash) {
+    const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+    if (!params.has(FILES_PARAM)) return null;
+
+    const decoded = JSON.parse(await decompressText(params.get(FILES_PARAM)));
+    if (!Array.isArray(decoded)) {
+        throw new Error('Shared files payload malformed');
+    }
+    const files = decoded.map(restoreCodeFile).filter(Boolean);
+
+    const settings = {};
+    SHARE_SETTINGS.forEach(({ key, param, parse }) => {
+        if (!params.has(param)) return;
+        const value = parse(params.get(param));
+        if (typeof value === 'number' && !Number.isFinite(value)) return;
+        settings[key] = value;
+    });
+
+    return { files, settings };
+}
@@ -0,0 +1,65 @@
+import { describe, expect, it } from 'vitest';
+import { createCodeFile, storedFileFields } from './codeFiles.js';
+import {
+    buildShareHash,
+    compressText,
+    decompressText,
+    parseShareHash,
+} from './shareLinks.js';
+
+describe('compressText', () => {
+    it('round-trips text through URL-safe base64', async () => {
+        const text = 'héllo → wörld\n'.repeat(50);
+        const encoded = await compressText(text);
+        expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+        expect(await decompressText(encoded)).toBe(text);
+    });
+});
+
+describe('share hashes', () => {
+    it('round-trips files and settings', async () => {
+        const files = [
+            createCodeFile({
+                name: 'Main.java',
+                code: 'class Main {}',
+                language: 'java',
+                highlightLines: '1',
+                notes: [{ line: 1, text: 'Nice' }],
+            }),
+            createCodeFile({ name: 'notes.txt', code: 'plain' }),
+        ];
+        const settings = {
+            font: 'Fira Mono',
+            size: 11,
+            showLineNumbers: true,
+            stripComments: false,
+            columns: 2,
+            whitespace: { tabWidth: 2, indent: 'spaces' },
+        };
+        const hash = await buildShareHash({ files, settings });
+        const shared = await parseShareHash(`#${hash}`);
+
+        expect(shared.settings).toEqual(settings);
+        expect(shared.files.map(storedFileFields)).toEqual(
+            files.map(storedFileFields),
+        );
+    });
+
+    it('skips settings that do not parse', async () => {
+        const hash = await buildShareHash({ files: [], settings: {} });
+        const shared = await parseShareHash(`${hash}&size=big&ws=%7B`);
+        expect(shared.settings).toEqual({ whitespace: undefined });
+    });
+
+    it('returns null for a hash without a shared job', async () => {
+        expect(await parseShareHash('')).toBeNull();
+        expect(await parseShareHash('#size=12')).toBeNull();
+    });
+
+    it('rejects a payload that is not a file list', async () => {
+        const files = await compressText('{"code": "x"}');
+        await expect(parseShareHash(`files=${files}`)).rejects.toThrow(
+            'Shared files payload malformed',
+        );
+    });
+});
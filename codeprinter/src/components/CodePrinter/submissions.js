@@ -0,0 +1,54 @@
+// Groups the files of a submissions archive (one folder per student) so they
+// can be printed as one job with a cover page per student.
+
+/**
+ * Removes a folder that wraps the whole archive, as produced by zipping the
+ * submissions folder itself rather than its contents.
+ * @param {Array<{path: string}>} sources
+ * @returns {Array<{path: string}>} copies with the shared folder removed
+ */
+export function stripSharedFolder(sources) {
+    let stripped = sources;
+    for (;;) {
+        const [first] = stripped;
+        const folder = first?.path.includes('/')
+            ? first.path.slice(0, first.path.indexOf('/') + 1)
+            : null;
+        // Keep one level so each student still has a folder.
+        const sharesFolder =
+            folder &&
+            stripped.every(
+                (source) =>
+                    source.path.startsWith(folder) &&
+                    source.path.slice(folder.length).includes('/'),
+            );
+        if (!sharesFolder) return stripped;
+        stripped = stripped.map((source) => ({
+            ...source,
+            path: source.path.slice(folder.length),
+        }));
+    }
+}
+
+/**
+ * Name of the student a submission path belongs to: its top-level folder.
+ * @param {string} path
+ * @returns {string} empty for files outside any folder
+ */
+export function submissionStudent(path) {
+    const slash = path.indexOf('/');
+    return slash > 0 ? path.slice(0, slash) : '';
+}
+
+/**
+ * Whether the file at `index` is the first one of a new student.
+ * @param {Array<{student?: string}>} files
+ * @param {number} index
+ */
+export function startsSubmission(files, index) {
+    const { student } = files[index];
+    return (
+        Boolean(student) &&
+        (index === 0 || files[index - 1].student !== student)
+    );
+}
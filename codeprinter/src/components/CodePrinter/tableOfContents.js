@@ -0,0 +1,31 @@
+// Entries for the optional contents page printed ahead of multi-file jobs.
+
+import { lineSpecMatcher, sourceLineNumber } from './lineSelection.js';
+
+export const CONTENTS_TITLE = 'Contents';
+
+/**
+ * Counts the lines of a file that will be printed, honouring its line range.
+ * @param {{code: string, lineRange?: string, sourceLines?: number[]}} file
+ */
+export function printedLineCount(file) {
+    const lines = file.code.replace(/\r\n?/g, '\n').split('\n');
+    if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+    const isVisible = lineSpecMatcher(file.lineRange, true);
+    return lines.filter((line, index) =>
+        isVisible(sourceLineNumber(file, index)),
+    ).length;
+}
+
+/**
+ * Lists every file of the job in print order.
+ * @param {Array<{name: string, code: string, lineRange?: string}>} files
+ * @returns {Array<{number: number, name: string, lines: number}>}
+ */
+export function contentsEntries(files) {
+    return files.map((file, index) => ({
+        number: index + 1,
+        name: file.name,
+        lines: printedLineCount(file),
+    }));
+}
@@ -0,0 +1,27 @@
+// Lightweight toast notifications for the code printer, mirroring the PPR page's
+// showToast helper but styled with Tailwind so it needs no extra stylesheet.
+
+const TOAST_SHOW_DELAY = 10;
+const TOAST_HIDE_DELAY = 300;
+const TOAST_DURATION = 3000;
+
+const TOAST_CLASSES =
+    'fixed bottom-5 left-1/2 z-[9999] max-w-md -translate-x-1/2 rounded-md px-4 py-2 text-sm text-white opacity-0 shadow-lg transition-all duration-300 print:hidden';
+
+export function showToast(message, isError = false) {
+    const toast = document.createElement('div');
+    toast.className = `${TOAST_CLASSES} ${isError ? 'bg-red-700' : 'bg-neutral-800'}`;
+    toast.setAttribute('role', isError ? 'alert' : 'status');
+    toast.textContent = message;
+    document.body.appendChild(toast);
+
+    setTimeout(
+        () => toast.classList.replace('opacity-0', 'opacity-100'),
+        TOAST_SHOW_DELAY,
+    );
+
+    setTimeout(() => {
+        toast.classList.replace('opacity-100', 'opacity-0');
+        setTimeout(() => toast.remove(), TOAST_HIDE_DELAY);
+    }, TOAST_DURATION);
+}
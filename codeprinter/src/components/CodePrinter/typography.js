@@ -0,0 +1,100 @@
+// Typography for printed code: font size, weight, line height, letter
+// spacing and programming ligatures. The same values drive the HTML printout
+// and PDF export.
+
+export const FONT_SIZE_RANGE = Object.freeze({ min: 4, max: 36, step: 0.5 });
+
+/** Font weights offered, with their labels. */
+export const FONT_WEIGHTS = Object.freeze({
+    300: 'Light',
+    400: 'Regular',
+    500: 'Medium',
+    700: 'Bold',
+});
+
+/** Line height as a multiple of the font size. */
+export const LINE_HEIGHT_RANGE = Object.freeze({
+    min: 1,
+    max: 2.5,
+    step: 0.05,
+});
+
+/** Extra space between characters, in em. */
+export const LETTER_SPACING_RANGE = Object.freeze({
+    min: -0.1,
+    max: 0.5,
+    step: 0.01,
+});
+
+export const DEFAULT_TYPOGRAPHY = Object.freeze({
+    fontWeight: 400,
+    lineHeight: 1.15,
+    letterSpacing: 0,
+    ligatures: true,
+});
+
+const clampToRange = (value, { min, max, step }) => {
+    const stepped = Math.round(value / step) * step;
+    // Round off the float noise stepping leaves behind, e.g. 1.1500000000000001.
+    return Number(Math.min(max, Math.max(min, stepped)).toFixed(2));
+};
+
+/**
+ * Rounds a font size to the nearest half point within the allowed range.
+ * @param {any} size
+ * @returns {number|null} null when size is not a number
+ */
+export function normalizeFontSize(size) {
+    const value = Number(size);
+    if (size === '' || !Number.isFinite(value)) return null;
+    return clampToRange(value, FONT_SIZE_RANGE);
+}
+
+/**
+ * Fills in missing or invalid typography options with the defaults.
+ * @param {any} options
+ * @returns {typeof DEFAULT_TYPOGRAPHY}
+ */
+export function resolveTypographyOptions(options) {
+    const resolved = { ...DEFAULT_TYPOGRAPHY };
+    if (!options || typeof options !== 'object') return resolved;
+    if (Object.hasOwn(FONT_WEIGHTS, options.fontWeight)) {
+        resolved.fontWeight = Number(options.fontWeight);
+    }
+    if (Number.isFinite(options.lineHeight)) {
+        resolved.lineHeight = clampToRange(
+            options.lineHeight,
+            LINE_HEIGHT_RANGE,
+        );
+    }
+    if (Number.isFinite(options.letterSpacing)) {
+        resolved.letterSpacing = clampToRange(
+            options.letterSpacing,
+            LETTER_SPACING_RANGE,
+        );
+    }
+    if (typeof options.ligatures === 'boolean') {
+        resolved.ligatures = options.ligatures;
+    }
+    return resolved;
+}
+
+/**
+ * CSS for printed code. Rows with line numbers or diff markers set their own
+ * line height, so the `.printFile` section also needs `--line-height`.
+ * @param {typeof DEFAULT_TYPOGRAPHY} typography
+ * @returns {Record<string, string|number>}
+ */
+export function typographyStyle({
+    fontWeight,
+    lineHeight,
+    letterSpacing,
+    ligatures,
+}) {
+    return {
+        fontWeight,
+        lineHeight,
+        letterSpacing: `${letterSpacing}em`,
+        fontVariantLigatures: ligatures ? 'normal' : 'none',
+    };
+}
@@ -0,0 +1,143 @@
+// Whitespace clean-up applied to code just before it is printed: tab width,
+// tab/space indentation, trailing whitespace, blank-line runs and line
+// endings. The code being edited is never changed.
+
+export const TAB_WIDTHS = Object.freeze([2, 4, 8]);
+
+/** Indentation conversions, keyed by setting value with their labels. */
+export const INDENT_CONVERSIONS = Object.freeze({
+    keep: 'Keep',
+    spaces: 'Tabs → spaces',
+    tabs: 'Spaces → tabs',
+});
+
+/** Characters drawn in place of whitespace when markers are shown. */
+export const WHITESPACE_MARKERS = Object.freeze({ space: '·', tab: '→' });
+
+export const DEFAULT_WHITESPACE = Object.freeze({
+    tabWidth: 4,
+    indent: 'keep',
+    trimTrailing: false,
+    collapseBlankLines: false,
+    normalizeLineEndings: true,
+    showWhitespace: false,
+});
+
+/**
+ * Fills in missing or invalid whitespace options with the defaults.
+ * @param {any} options
+ * @returns {typeof DEFAULT_WHITESPACE}
+ */
+export function resolveWhitespaceOptions(options) {
+    const resolved = { ...DEFAULT_WHITESPACE };
+    if (!options || typeof options !== 'object') return resolved;
+    if (TAB_WIDTHS.includes(options.tabWidth)) {
+        resolved.tabWidth = options.tabWidth;
+    }
+    if (Object.hasOwn(INDENT_CONVERSIONS, options.indent)) {
+        resolved.indent = options.indent;
+    }
+    [
+        'trimTrailing',
+        'collapseBlankLines',
+        'normalizeLineEndings',
+        'showWhitespace',
+    ].forEach((flag) => {
+        if (typeof options[flag] === 'boolean') resolved[flag] = options[flag];
+    });
+    return resolved;
+}
+
+/**
+ * Replaces every tab with spaces up to the next tab stop.
+ * @param {string} line
+ * @param {number} tabWidth
+ */
+export function expandLineTabs(line, tabWidth) {
+    let expanded = '';
+    for (const char of line) {
+        expanded +=
+            char === '\t'
+                ? ' '.repeat(tabWidth - (expanded.length % tabWidth))
+                : char;
+    }
+    return expanded;
+}
+
+/** Rewrites leading spaces as tabs, keeping any remainder as spaces. */
+function tabifyIndent(line, tabWidth) {
+    const indent = line.match(/^[ \t]*/)[0];
+    const width = expandLineTabs(indent, tabWidth).length;
+    return (
+        '\t'.repeat(Math.floor(width / tabWidth)) +
+        ' '.repeat(width % tabWidth) +
+        line.slice(indent.length)
+    );
+}
+
+/**
+ * Splits text into runs of spaces, single tabs and everything else, so
+ * whitespace can be drawn with visible markers.
+ * @param {string} text
+ * @returns {Array<{text: string, whitespace?: 'space'|'tab'}>}
+ */
+export function splitWhitespace(text) {
+    return text
+        .split(/( +|\t)/)
+        .filter(Boolean)
+        .map((part) => {
+            if (part === '\t') return { text: part, whitespace: 'tab' };
+            if (part[0] === ' ') {
+                return {
+                    text: WHITESPACE_MARKERS.space.repeat(part.length),
+                    whitespace: 'space',
+                };
+            }
+            return { text: part };
+        });
+}
+
+/**
+ * Applies the whitespace options to a file's code.
+ * @param {string} code
+ * @param {typeof DEFAULT_WHITESPACE} options
+ * @returns {{code: string, sourceLines: number[]}} the code, and the 1-based
+ *   line of the input each of its lines came from, since collapsing blank
+ *   lines leaves some out
+ */
+export function normalizeWhitespace(code, options) {
+    const { tabWidth, indent, trimTrailing, collapseBlankLines } = options;
+    // Each line keeps the ending that followed it unless endings are
+    // normalised; the last line has none.
+    let lines = [];
+    code.split(/(\r\n?|\n)/).forEach((part, index) => {
+        if (index % 2) {
+            lines[lines.length - 1].ending = options.normalizeLineEndings
+                ? '\n'
+                : part;
+        } else {
+            lines.push({ text: part, ending: '', source: lines.length + 1 });
+        }
+    });
+
+    const convert = {
+        keep: (text) => text,
+        spaces: (text) => expandLineTabs(text, tabWidth),
+        tabs: (text) => tabifyIndent(text, tabWidth),
+    }[indent];
+    lines = lines.map((line) => {
+        const text = convert(line.text);
+        return { ...line, text: trimTrailing ? text.trimEnd() : text };
+    });
+    if (collapseBlankLines) {
+        const isBlank = (line) => line.text.trim() === '';
+        lines = lines.filter(
+            (line, index) =>
+                index === 0 || !isBlank(line) || !isBlank(lines[index - 1]),
+        );
+    }
+    return {
+        code: lines.map((line) => line.text + line.ending).join(''),
+        sourceLines: lines.map((line) => line.source),
+    };
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import {
+    DEFAULT_WHITESPACE,
+    expandLineTabs,
+    normalizeWhitespace,
+    resolveWhitespaceOptions,
+    splitWhitespace,
+} from './whitespace.js';
+
+const normalize = (code, options) =>
+    normalizeWhitespace(code, { ...DEFAULT_WHITESPACE, ...options });
+
+describe('resolveWhitespaceOptions', () => {
+    it('keeps valid options and defaults the rest', () => {
+        expect(
+            resolveWhitespaceOptions({
+                tabWidth: 2,
+                indent: 'tabs',
+                trimTrailing: 'yes',
+            }),
+        ).toEqual({ ...DEFAULT_WHITESPACE, tabWidth: 2, indent: 'tabs' });
+    });
+
+    it('rejects inherited keys as indent conversions', () => {
+        expect(resolveWhitespaceOptions({ indent: 'constructor' }).indent).toBe(
+            'keep',
+        );
+    });
+});
+
+describe('expandLineTabs', () => {
+    it('expands tabs to the next tab stop', () => {
+        expect(expandLineTabs('\tab\tc', 4)).toBe('    ab  c');
+    });
+});
+
+describe('splitWhitespace', () => {
+    it('marks runs of spaces and single tabs', () => {
+        expect(splitWhitespace('a  b\t')).toEqual([
+            { text: 'a' },
+            { text: '··', whitespace: 'space' },
+            { text: 'b' },
+            { text: '\t', whitespace: 'tab' },
+        ]);
+    });
+});
+
+describe('normalizeWhitespace', () => {
+    it('converts indentation between tabs and spaces', () => {
+        expect(normalize('\tx', { indent: 'spaces', tabWidth: 2 }).code).toBe(
+            '  x',
+        );
+        expect(normalize('      x', { indent: 'tabs' }).code).toBe('\t  x');
+    });
+
+    it('trims trailing whitespace and normalises line endings', () => {
+        expect(normalize('a  \r\nb\t\rc', { trimTrailing: true }).code).toBe(
+            'a\nb\nc',
+        );
+        expect(normalize('a\r\nb', { normalizeLineEndings: false }).code).toBe(
+            'a\r\nb',
+        );
+    });
+
+    it('collapses blank-line runs and maps lines to their source', () => {
+        expect(
+            normalize('a\n\n\n\nb\n \nc', { collapseBlankLines: true }),
+        ).toEqual({ code: 'a\n\nb\n \nc', sourceLines: [1, 2, 5, 6, 7] });
+    });
+});
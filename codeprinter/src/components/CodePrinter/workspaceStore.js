@@ -0,0 +1,255 @@
+// Saves print jobs in IndexedDB: an autosaved copy of the current session
+// that survives a refresh, and any number of named workspaces. Font files
+// loaded by the user are kept here too so they are available offline.
+
+import { restoreCodeFile, storedFileFields } from './codeFiles.js';
+
+const DB_NAME = 'codeprinter';
+const DB_VERSION = 2;
+const WORKSPACE_STORE = 'workspaces';
+const SESSION_STORE = 'session';
+const FONT_STORE = 'fonts';
+const SESSION_KEY = 'current';
+
+const WORKSPACE_FILE_TYPE = 'codeprinter-workspace';
+const WORKSPACE_FILE_VERSION = 1;
+
+let dbPromise = null;
+
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function openDatabase() {
+    if (!dbPromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+            if (e.oldVersion < 1) {
+                db.createObjectStore(WORKSPACE_STORE, { keyPath: 'id' });
+                db.createObjectStore(SESSION_STORE);
+            }
+            if (e.oldVersion < 2) {
+                db.createObjectStore(FONT_STORE, { keyPath: 'family' });
+            }
+        };
+        dbPromise = requestToPromise(request).catch((err) => {
+            dbPromise = null;
+            throw err;
+        });
+    }
+    return dbPromise;
+}
+
+async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+    const store = db.transaction(storeName, mode).objectStore(storeName);
+    return requestToPromise(action(store));
+}
+
+function newWorkspaceId() {
+    return globalThis.crypto?.randomUUID
+        ? globalThis.crypto.randomUUID()
+        : `workspace-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+function restoreFiles(records) {
+    return (Array.isArray(records) ? records : [])
+        .map(restoreCodeFile)
+        .filter(Boolean);
+}
+
+/**
+ * Autosaves the current session.
+ * @param {{files: Array<object>, activeIndex: number, workspace: {id: string, name: string}|null, modified: boolean}} session
+ */
+export function saveSession({ files, activeIndex, workspace, modified }) {
+    return withStore(SESSION_STORE, 'readwrite', (store) =>
+        store.put(
+            {
+                files: files.map(storedFileFields),
+                activeIndex,
+                workspace,
+                modified,
+                savedAt: Date.now(),
+            },
+            SESSION_KEY,
+        ),
+    );
+}
+
+/**
+ * Loads the autosaved session.
+ * @returns {Promise<{files: Array<object>, activeIndex: number, workspace: {id: string, name: string}|null, modified: boolean}|null>}
+ *   files recreated with createCodeFile; null when nothing was saved
+ */
+export async function loadSession() {
+    const session = await withStore(SESSION_STORE, 'readonly', (store) =>
+        store.get(SESSION_KEY),
+    );
+    const files = restoreFiles(session?.files);
+    if (!files.length) return null;
+    return {
+        files,
+        activeIndex: Number.isInteger(session.activeIndex)
+            ? session.activeIndex
+            : 0,
+        workspace: session.workspace || null,
+        modified: session.modified === true,
+    };
+}
+
+/**
+ * Lists saved workspaces, most recently updated first.
+ * @returns {Promise<Array<{id: string, name: string, updatedAt: number, fileCount: number}>>}
+ */
+export async function listWorkspaces() {
+    const workspaces = await withStore(WORKSPACE_STORE, 'readonly', (store) =>
+        store.getAll(),
+    );
+    return workspaces
+        .map(({ id, name, updatedAt, files }) => ({
+            id,
+            name,
+            updatedAt,
+            fileCount: files.length,
+        }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/**
+ * Creates or overwrites a named workspace.
+ * @param {{id?: string, name: string, files: Array<object>}} workspace
+ * @returns {Promise<{id: string, name: string}>}
+ */
+export async function saveWorkspace({ id = newWorkspaceId(), name, files }) {
+    await withStore(WORKSPACE_STORE, 'readwrite', (store) =>
+        store.put({
+            id,
+            name,
+            files: files.map(storedFileFields),
+            updatedAt: Date.now(),
+        }),
+    );
+    return { id, name };
+}
+
+/**
+ * Loads a named workspace.
+ * @param {string} id
+ * @returns {Promise<{id: string, name: string, files: Array<object>}|null>}
+ */
+export async function loadWorkspace(id) {
+    const workspace = await withStore(WORKSPACE_STORE, 'readonly', (store) =>
+        store.get(id),
+    );
+    if (!workspace) return null;
+    return {
+        id: workspace.id,
+        name: workspace.name,
+        files: restoreFiles(workspace.files),
+    };
+}
+
+/**
+ * Renames a workspace.
+ * @param {string} id
+ * @param {string} name
+ */
+export async function renameWorkspace(id, name) {
+    const workspace = await loadWorkspace(id);
+    if (!workspace) throw new Error('Workspace not found');
+    return saveWorkspace({ ...workspace, name });
+}
+
+/**
+ * Copies a workspace under a new name.
+ * @param {string} id
+ * @param {string} name
+ */
+export async function duplicateWorkspace(id, name) {
+    const workspace = await loadWorkspace(id);
+    if (!workspace) throw new Error('Workspace not found');
+    return saveWorkspace({ name, files: workspace.files });
+}
+
+/**
+ * Deletes a workspace.
+ * @param {string} id
+ */
+export function deleteWorkspace(id) {
+    return withStore(WORKSPACE_STORE, 'readwrite', (store) => store.delete(id));
+}
+
+/**
+ * Stores a font file, replacing any earlier file for the same family.
+ * @param {{family: string, fileName: string, data: ArrayBuffer}} font
+ */
+export function saveFontFile({ family, fileName, data }) {
+    return withStore(FONT_STORE, 'readwrite', (store) =>
+        store.put({ family, fileName, data, addedAt: Date.now() }),
+    );
+}
+
+/**
+ * Lists stored font files in the order they were added.
+ * @returns {Promise<Array<{family: string, fileName: string, data: ArrayBuffer}>>}
+ */
+export async function listFontFiles() {
+    const fonts = await withStore(FONT_STORE, 'readonly', (store) =>
+        store.getAll(),
+    );
+    return fonts
+        .sort((a, b) => a.addedAt - b.addedAt)
+        .map(({ family, fileName, data }) => ({ family, fileName, data }));
+}
+
+/**
+ * Deletes a stored font file.
+ * @param {string} family
+ */
+export function deleteFontFile(family) {
+    return withStore(FONT_STORE, 'readwrite', (store) => store.delete(family));
+}
+
+/**
+ * Serialises a workspace to JSON for export.
+ * @param {{name: string, files: Array<object>}} workspace
+ * @returns {string}
+ */
+export function serializeWorkspace({ name, files }) {
+    return JSON.stringify(
+        {
+            type: WORKSPACE_FILE_TYPE,
+            version: WORKSPACE_FILE_VERSION,
+            name,
+            files: files.map(storedFileFields),
+        },
+        null,
+        2,
+    );
+}
+
+/**
+ * Reads a workspace exported by serializeWorkspace.
+ * @param {string} text
+ * @returns {{name: string, files: Array<object>}}
+ */
+export function parseWorkspaceJson(text) {
+    const data = JSON.parse(text);
+    if (!data || data.type !== WORKSPACE_FILE_TYPE) {
+        throw new Error('Not a Code Printer workspace file');
+    }
+    if (data.version > WORKSPACE_FILE_VERSION) {
+        throw new Error(`Unsupported workspace version ${data.version}`);
+    }
+    const files = restoreFiles(data.files);
+    if (!files.length) throw new Error('Workspace has no files');
+    return {
+        name: typeof data.name === 'string' ? data.name : 'Imported',
+        files,
+    };
+}
@@ -0,0 +1,104 @@
+// Minimal client-side zip reader for loading archives of submissions. It
+// walks the central directory and inflates entries with the browser's
+// DecompressionStream, so no zip library is needed. Zip64 and encrypted
+// archives are not supported.
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_BYTES = 22;
+const MAX_COMMENT_BYTES = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_ENCRYPTED = 0x1;
+
+/** Folders added by archivers that never hold submitted files. */
+const IGNORED_PATH = /(?:^|\/)(?:__MACOSX|\.DS_Store$)/;
+
+function findEndOfCentralDirectory(view) {
+    const earliest = Math.max(
+        0,
+        view.byteLength - EOCD_MIN_BYTES - MAX_COMMENT_BYTES,
+    );
+    for (let i = view.byteLength - EOCD_MIN_BYTES; i >= earliest; i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    throw new Error('Not a zip archive');
+}
+
+async function inflate(bytes) {
+    const response = new Response(
+        new Blob([bytes])
+            .stream()
+            .pipeThrough(new DecompressionStream('deflate-raw')),
+    );
+    return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Lists the files in a zip archive. Each entry is read lazily so that
+ * filtered or oversized entries are never inflated.
+ * @param {Blob} archive
+ * @returns {Promise<Array<{path: string, file: {name: string, size: number, text: () => Promise<string>}}>>}
+ *   in the same `{file, path}` shape as the other file sources
+ */
+export async function readZipArchive(archive) {
+    const buffer = await archive.arrayBuffer();
+    const view = new DataView(buffer);
+    const bytes = new Uint8Array(buffer);
+    const decoder = new TextDecoder();
+
+    const eocd = findEndOfCentralDirectory(view);
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff)
+        throw new Error('Zip64 archives are not supported');
+
+    const entries = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+            throw new Error('Corrupt zip central directory');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const size = view.getUint32(offset + 24, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder
+            .decode(bytes.subarray(offset + 46, offset + 46 + nameLength))
+            .replace(/\\/g, '/');
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const isFolder = path.endsWith('/');
+        const isReadable =
+            !(flags & FLAG_ENCRYPTED) &&
+            (method === METHOD_STORED || method === METHOD_DEFLATE);
+        if (isFolder || !isReadable || IGNORED_PATH.test(path)) continue;
+
+        const read = async () => {
+            if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+                throw new Error(`Corrupt zip entry ${path}`);
+            }
+            const start =
+                localOffset +
+                30 +
+                view.getUint16(localOffset + 26, true) +
+                view.getUint16(localOffset + 28, true);
+            const data = bytes.subarray(start, start + compressedSize);
+            return method === METHOD_DEFLATE ? inflate(data) : data;
+        };
+        entries.push({
+            path,
+            file: {
+                name: path.split('/').pop(),
+                size,
+                text: async () => decoder.decode(await read()),
+            },
+        });
+    }
+    return entries;
+}
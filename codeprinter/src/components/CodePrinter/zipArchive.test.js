@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest';
+import { readZipArchive } from './zipArchive.js';
+
+const encoder = new TextEncoder();
+
+async function deflateRaw(bytes) {
+    const stream = new Blob([bytes])
+        .stream()
+        .pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/** Builds a zip archive; CRCs are left at 0 since the reader ignores them. */
+async function buildZip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { path, text = '', deflate = false, flags = 0 } of entries) {
+        const name = encoder.encode(path);
+        const raw = encoder.encode(text);
+        const data = deflate ? await deflateRaw(raw) : raw;
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(6, flags, true);
+        local.setUint16(8, deflate ? 8 : 0, true);
+        local.setUint32(18, data.length, true);
+        local.setUint32(22, raw.length, true);
+        local.setUint16(26, name.length, true);
+        locals.push(new Uint8Array(local.buffer), name, data);
+
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014b50, true);
+        central.setUint16(8, flags, true);
+        central.setUint16(10, deflate ? 8 : 0, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, raw.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);
+        centrals.push(new Uint8Array(central.buffer), name);
+        offset += 30 + name.length + data.length;
+    }
+    const centralSize = centrals.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, entries.length, true);
+    end.setUint16(10, entries.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    return new Blob([...locals, ...centrals, new Uint8Array(end.buffer)]);
+}
+
+describe('readZipArchive', () => {
+    it('reads stored and deflated entries', async () => {
+        const entries = await readZipArchive(
+            await buildZip([
+                { path: 'alice/Main.java', text: 'class Main {}' },
+                {
+                    path: 'bob\\Main.java',
+                    text: 'class Main { int x; }'.repeat(20),
+                    deflate: true,
+                },
+            ]),
+        );
+        expect(entries.map(({ path, file }) => [path, file.name])).toEqual([
+            ['alice/Main.java', 'Main.java'],
+            ['bob/Main.java', 'Main.java'],
+        ]);
+        expect(entries[1].file.size).toBe(420);
+        expect(await entries[0].file.text()).toBe('class Main {}');
+        expect(await entries[1].file.text()).toBe(
+            'class Main { int x; }'.repeat(20),
+        );
+    });
+
+    it('skips folders, archiver metadata and encrypted entries', async () => {
+        const entries = await readZipArchive(
+            await buildZip([
+                { path: 'src/' },
+                { path: '__MACOSX/src/._A.java', text: 'x' },
+                { path: 'src/.DS_Store', text: 'x' },
+                { path: 'src/Secret.java', text: 'x', flags: 1 },
+                { path: 'src/A.java', text: 'a' },
+            ]),
+        );
+        expect(entries.map((entry) => entry.path)).toEqual(['src/A.java']);
+    });
+
+    it('rejects files that are not zip archives', async () => {
+        await expect(
+            readZipArchive(new Blob(['just some text, not a zip archive'])),
+        ).rejects.toThrow('Not a zip archive');
+    });
+});
@@ -30,3 +30,15 @@ export const useLocalStorage = (key: string, defaultValue: any) => {
 
     return [value, setValue];
 };
+
+/** The value as it was once it stopped changing for `delay` milliseconds. */
+export const useDebouncedValue = <T>(value: T, delay: number) => {
+    const [debounced, setDebounced] = useState(value);
+
+    useEffect(() => {
+        const timer = setTimeout(() => setDebounced(value), delay);
+        return () => clearTimeout(timer);
+    }, [value, delay]);
+
+    return debounced;
+};